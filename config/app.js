@@ -0,0 +1,46 @@
+const path = require('path');
+
+// Config from env or defaults
+const PORT = process.env.PORT || 3000;
+const JWT_SECRET = process.env.JWT_SECRET || 'replace_this_with_strong_secret';
+const SALT_ROUNDS = parseInt(process.env.SALT_ROUNDS || '10', 10);
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const API_VERSION = process.env.API_VERSION || 'v1';
+
+// Public origin of this API; the email verification link is a GET on it
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Front-end page that takes ?token= to choose a new password. Without it the
+// reset email carries only the code.
+const APP_URL = (process.env.APP_URL || '').replace(/\/$/, '');
+
+// Block protected routes for accounts that haven't confirmed their email
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Storage backend: 'sqlite' (self-hosted) or 'firebase' (Realtime Database)
+const STORAGE_BACKENDS = ['sqlite', 'firebase'];
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sqlite').trim().toLowerCase();
+
+if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`
+  );
+}
+
+// DB file in working directory (on Render use persistent disk if available)
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, '..', 'data.sqlite3');
+
+module.exports = {
+  PORT,
+  JWT_SECRET,
+  SALT_ROUNDS,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  API_VERSION,
+  PUBLIC_URL,
+  APP_URL,
+  REQUIRE_EMAIL_VERIFICATION,
+  STORAGE_BACKEND,
+  DB_FILE
+};
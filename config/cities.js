@@ -0,0 +1,77 @@
+// Curated additions to the bundled gazetteer (city-timezones, built from
+// Natural Earth populated places). Keys are "<ascii name>|<ISO country code>".
+
+// Other spellings people search for
+const ALTERNATE_NAMES = {
+  'Makkah|SA': ['Mecca', 'Makkah al-Mukarramah', 'Makka', 'Mekka'],
+  'Medina|SA': ['Madinah', 'Al Madinah', 'Madina', 'Madinah al-Munawwarah'],
+  'Riyadh|SA': ['Ar Riyad', 'Riyad'],
+  'Jeddah|SA': ['Jiddah', 'Jedda'],
+  'Kuwait|KW': ['Kuwait City', 'Al Kuwayt'],
+  'Sanaa|YE': ["Sana'a", 'Sana'],
+  'Muscat|OM': ['Masqat'],
+  'Damascus|SY': ['Dimashq', 'Sham'],
+  'Baghdad|IQ': ['Bagdad'],
+  'Cairo|EG': ['Al Qahirah', 'Qahira'],
+  'Alexandria|EG': ['Al Iskandariyah', 'Iskandariya'],
+  'Algiers|DZ': ['Alger', 'Al Jazair'],
+  'Tunis|TN': ['Tounes'],
+  'Casablanca|MA': ['Dar el Beida', 'Casa'],
+  'Fez|MA': ['Fes'],
+  'Marrakesh|MA': ['Marrakech'],
+  'Tehran|IR': ['Teheran'],
+  'Istanbul|TR': ['Constantinople', 'Stamboul'],
+  'Mumbai|IN': ['Bombay'],
+  'Kolkata|IN': ['Calcutta'],
+  'Chennai|IN': ['Madras'],
+  'Bengaluru|IN': ['Bangalore'],
+  'Delhi|IN': ['New Delhi', 'Dehli'],
+  'Dhaka|BD': ['Dacca'],
+  'Chittagong|BD': ['Chattogram'],
+  'Rangoon|MM': ['Yangon'],
+  'Beijing|CN': ['Peking'],
+  'Guangzhou|CN': ['Canton'],
+  'Ho Chi Minh City|VN': ['Saigon'],
+  'Almaty|KZ': ['Alma-Ata'],
+  'Kyiv|UA': ['Kiev'],
+  'Washington, D.C.|US': ['Washington', 'Washington DC'],
+  'Jerusalem|IL': ['Al Quds', 'Quds'],
+  'New York|US': ['New York City', 'NYC'],
+  'Los Angeles|US': ['LA'],
+  'Kuala Lumpur|MY': ['KL']
+};
+
+// Places missing from the gazetteer: [name, ISO code, province, lat, lng, timezone, population]
+const EXTRA_CITIES = [
+  ['Dearborn', 'US', 'Michigan', 42.3223, -83.1763, 'America/Detroit', 109976],
+  ['Mississauga', 'CA', 'Ontario', 43.589, -79.6441, 'America/Toronto', 717961]
+];
+
+// Country names and abbreviations that aren't in the gazetteer
+const COUNTRY_ALIASES = {
+  uk: 'GB',
+  'great britain': 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  usa: 'US',
+  'united states of america': 'US',
+  america: 'US',
+  uae: 'AE',
+  emirates: 'AE',
+  ksa: 'SA',
+  palestine: 'PS',
+  turkiye: 'TR',
+  russia: 'RU',
+  iran: 'IR',
+  syria: 'SY',
+  'south korea': 'KR',
+  'north korea': 'KP',
+  holland: 'NL'
+};
+
+module.exports = {
+  ALTERNATE_NAMES,
+  EXTRA_CITIES,
+  COUNTRY_ALIASES
+};
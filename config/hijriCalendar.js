@@ -0,0 +1,205 @@
+// Hijri calendar data: Umm al-Qura month lengths, month names and the
+// yearly Islamic observances listed by /calendar/events.
+
+// Umm al-Qura (Saudi official) calendar, 1356-1500 AH: days in each month,
+// one row per year. 1 Muharram 1356 AH was 14 March 1937. Month starts match
+// the Umm al-Qura table shipped by moment-hijri 2.1.2 and hijri-converter
+// 1.1.1, except 1364, where that table gives Sha'ban 28 days; Sha'ban and
+// Ramadan have 29 each here, so Ramadan starts after the new moon and 1365
+// still begins on the same day.
+const UMM_AL_QURA_FIRST_YEAR = 1356;
+const UMM_AL_QURA_EPOCH = '1937-03-14';
+const UMM_AL_QURA_MONTH_LENGTHS = [
+  /* 1356 */ 29, 29, 30, 29, 30, 29, 30, 30, 29, 29, 30, 29,
+  /* 1357 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1358 */ 30, 30, 29, 30, 29, 29, 30, 29, 29, 30, 30, 29,
+  /* 1359 */ 30, 30, 30, 29, 30, 29, 29, 30, 29, 29, 30, 29,
+  /* 1360 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1361 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1362 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1363 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1364 */ 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 30, 29,
+  /* 1365 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1366 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1367 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1368 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1369 */ 30, 29, 30, 29, 30, 29, 30, 30, 29, 30, 30, 29,
+  /* 1370 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1371 */ 30, 29, 30, 29, 29, 30, 29, 30, 29, 30, 30, 30,
+  /* 1372 */ 29, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 30,
+  /* 1373 */ 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1374 */ 30, 29, 30, 29, 30, 29, 30, 30, 29, 29, 30, 30,
+  /* 1375 */ 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 30, 29,
+  /* 1376 */ 29, 30, 29, 29, 30, 30, 30, 29, 30, 29, 30, 29,
+  /* 1377 */ 30, 29, 29, 30, 29, 30, 29, 30, 30, 29, 30, 30,
+  /* 1378 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1379 */ 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1380 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1381 */ 30, 29, 30, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1382 */ 30, 29, 30, 30, 29, 30, 30, 29, 29, 30, 29, 30,
+  /* 1383 */ 29, 30, 29, 30, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1384 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1385 */ 30, 29, 30, 30, 29, 29, 30, 29, 30, 30, 30, 29,
+  /* 1386 */ 30, 30, 29, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1387 */ 29, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1388 */ 29, 30, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1389 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1390 */ 30, 29, 30, 29, 30, 29, 30, 30, 29, 30, 29, 29,
+  /* 1391 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1392 */ 29, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1393 */ 30, 29, 30, 29, 29, 29, 30, 29, 30, 29, 30, 30,
+  /* 1394 */ 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 30, 29,
+  /* 1395 */ 30, 29, 30, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1396 */ 30, 29, 30, 30, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1397 */ 29, 30, 29, 30, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1398 */ 30, 29, 30, 29, 30, 29, 30, 30, 29, 30, 29, 30,
+  /* 1399 */ 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30, 29,
+  /* 1400 */ 30, 30, 29, 30, 29, 29, 30, 29, 30, 29, 30, 30,
+  /* 1401 */ 29, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1402 */ 30, 30, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1403 */ 29, 30, 30, 30, 29, 30, 29, 30, 29, 29, 30, 29,
+  /* 1404 */ 29, 30, 30, 29, 30, 30, 30, 29, 30, 29, 29, 30,
+  /* 1405 */ 29, 29, 30, 30, 29, 30, 30, 29, 30, 29, 30, 29,
+  /* 1406 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 30, 29, 30,
+  /* 1407 */ 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1408 */ 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1409 */ 30, 29, 30, 30, 29, 30, 29, 30, 29, 29, 30, 29,
+  /* 1410 */ 30, 29, 30, 30, 30, 29, 30, 29, 30, 29, 29, 30,
+  /* 1411 */ 29, 30, 29, 30, 30, 29, 30, 30, 29, 30, 29, 29,
+  /* 1412 */ 30, 29, 29, 30, 30, 29, 30, 30, 30, 29, 30, 29,
+  /* 1413 */ 29, 30, 29, 29, 30, 30, 29, 30, 30, 29, 30, 30,
+  /* 1414 */ 29, 29, 30, 29, 29, 30, 29, 30, 30, 30, 29, 30,
+  /* 1415 */ 29, 30, 29, 30, 29, 29, 30, 29, 30, 30, 29, 30,
+  /* 1416 */ 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1417 */ 30, 29, 30, 29, 30, 30, 29, 30, 29, 30, 29, 29,
+  /* 1418 */ 30, 29, 30, 29, 30, 30, 30, 29, 30, 29, 30, 29,
+  /* 1419 */ 29, 30, 29, 30, 29, 30, 30, 29, 30, 30, 29, 30,
+  /* 1420 */ 29, 30, 29, 29, 30, 29, 30, 30, 30, 30, 29, 30,
+  /* 1421 */ 29, 29, 30, 29, 29, 29, 30, 30, 30, 30, 29, 30,
+  /* 1422 */ 30, 29, 29, 30, 29, 29, 29, 30, 30, 30, 29, 30,
+  /* 1423 */ 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 29, 30,
+  /* 1424 */ 30, 29, 30, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1425 */ 30, 29, 30, 30, 29, 30, 29, 30, 30, 29, 30, 29,
+  /* 1426 */ 29, 30, 29, 30, 29, 30, 30, 29, 30, 30, 29, 30,
+  /* 1427 */ 29, 29, 30, 29, 29, 30, 30, 30, 29, 30, 30, 29,
+  /* 1428 */ 30, 29, 29, 30, 29, 29, 30, 30, 30, 29, 30, 30,
+  /* 1429 */ 29, 30, 29, 29, 30, 29, 29, 30, 30, 29, 30, 30,
+  /* 1430 */ 29, 30, 30, 29, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1431 */ 29, 30, 30, 29, 30, 29, 30, 29, 30, 29, 29, 30,
+  /* 1432 */ 29, 30, 30, 30, 29, 30, 29, 30, 29, 30, 29, 29,
+  /* 1433 */ 30, 29, 30, 30, 29, 30, 30, 29, 30, 29, 30, 29,
+  /* 1434 */ 29, 30, 29, 30, 29, 30, 30, 29, 30, 30, 29, 29,
+  /* 1435 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 30, 29, 30,
+  /* 1436 */ 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1437 */ 30, 29, 30, 30, 29, 29, 30, 29, 30, 29, 29, 30,
+  /* 1438 */ 30, 29, 30, 30, 30, 29, 29, 30, 29, 29, 30, 29,
+  /* 1439 */ 30, 29, 30, 30, 30, 29, 30, 29, 30, 29, 29, 30,
+  /* 1440 */ 29, 30, 29, 30, 30, 30, 29, 30, 29, 30, 29, 29,
+  /* 1441 */ 30, 29, 30, 29, 30, 30, 29, 30, 30, 29, 30, 29,
+  /* 1442 */ 29, 30, 29, 30, 29, 30, 29, 30, 30, 29, 30, 29,
+  /* 1443 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1444 */ 29, 30, 29, 30, 30, 29, 29, 30, 29, 30, 29, 30,
+  /* 1445 */ 29, 30, 30, 30, 29, 30, 29, 29, 30, 29, 29, 30,
+  /* 1446 */ 29, 30, 30, 30, 30, 29, 30, 29, 29, 30, 29, 29,
+  /* 1447 */ 30, 29, 30, 30, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1448 */ 29, 30, 29, 30, 30, 29, 30, 30, 29, 30, 29, 30,
+  /* 1449 */ 29, 29, 30, 29, 30, 29, 30, 30, 29, 30, 30, 29,
+  /* 1450 */ 30, 29, 30, 29, 29, 30, 29, 30, 29, 30, 30, 29,
+  /* 1451 */ 30, 30, 29, 30, 29, 29, 30, 29, 30, 29, 30, 29,
+  /* 1452 */ 30, 30, 30, 29, 30, 29, 29, 30, 29, 30, 29, 30,
+  /* 1453 */ 29, 30, 30, 30, 29, 29, 30, 29, 30, 29, 30, 29,
+  /* 1454 */ 29, 30, 30, 30, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1455 */ 29, 29, 30, 30, 29, 30, 29, 30, 30, 29, 30, 29,
+  /* 1456 */ 30, 29, 29, 30, 29, 30, 29, 30, 30, 30, 29, 30,
+  /* 1457 */ 29, 30, 29, 29, 30, 29, 29, 30, 30, 29, 30, 30,
+  /* 1458 */ 30, 29, 30, 29, 29, 30, 29, 29, 30, 30, 29, 30,
+  /* 1459 */ 30, 30, 29, 30, 29, 29, 30, 29, 29, 30, 30, 29,
+  /* 1460 */ 30, 30, 29, 30, 29, 30, 29, 30, 29, 29, 30, 30,
+  /* 1461 */ 29, 30, 29, 30, 30, 29, 30, 29, 30, 29, 30, 29,
+  /* 1462 */ 30, 29, 30, 29, 30, 29, 30, 29, 30, 30, 29, 30,
+  /* 1463 */ 29, 30, 29, 29, 30, 29, 30, 30, 29, 30, 30, 29,
+  /* 1464 */ 30, 29, 30, 29, 29, 30, 29, 30, 29, 30, 30, 30,
+  /* 1465 */ 29, 30, 29, 30, 29, 29, 30, 29, 29, 30, 30, 30,
+  /* 1466 */ 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 29, 30,
+  /* 1467 */ 30, 29, 30, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1468 */ 30, 29, 30, 30, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1469 */ 29, 29, 30, 30, 29, 30, 30, 29, 30, 30, 29, 29,
+  /* 1470 */ 30, 29, 29, 30, 30, 29, 30, 29, 30, 30, 30, 29,
+  /* 1471 */ 29, 30, 29, 29, 30, 29, 30, 30, 29, 30, 30, 29,
+  /* 1472 */ 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 30, 29,
+  /* 1473 */ 30, 29, 30, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1474 */ 30, 30, 29, 30, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1475 */ 29, 30, 29, 30, 30, 30, 29, 30, 29, 29, 30, 29,
+  /* 1476 */ 29, 30, 29, 30, 30, 30, 29, 30, 30, 29, 29, 30,
+  /* 1477 */ 29, 29, 30, 29, 30, 30, 29, 30, 30, 30, 29, 29,
+  /* 1478 */ 30, 29, 29, 30, 29, 30, 30, 29, 30, 30, 29, 30,
+  /* 1479 */ 29, 30, 29, 29, 30, 29, 30, 29, 30, 30, 29, 30,
+  /* 1480 */ 29, 30, 30, 29, 29, 30, 29, 30, 29, 30, 29, 30,
+  /* 1481 */ 29, 30, 30, 29, 30, 30, 29, 30, 29, 29, 30, 29,
+  /* 1482 */ 30, 29, 30, 30, 29, 30, 30, 29, 30, 29, 29, 30,
+  /* 1483 */ 29, 29, 30, 30, 29, 30, 30, 30, 29, 30, 29, 29,
+  /* 1484 */ 30, 29, 29, 30, 30, 29, 30, 30, 29, 30, 30, 29,
+  /* 1485 */ 29, 30, 29, 29, 30, 30, 29, 30, 30, 29, 30, 30,
+  /* 1486 */ 29, 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30,
+  /* 1487 */ 29, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 30,
+  /* 1488 */ 29, 30, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1489 */ 29, 30, 30, 30, 29, 30, 29, 30, 29, 29, 30, 29,
+  /* 1490 */ 30, 29, 30, 30, 29, 30, 30, 29, 30, 29, 29, 30,
+  /* 1491 */ 29, 30, 29, 30, 29, 30, 30, 29, 30, 29, 30, 30,
+  /* 1492 */ 29, 29, 30, 29, 30, 29, 30, 29, 30, 30, 29, 30,
+  /* 1493 */ 30, 29, 29, 30, 29, 30, 29, 29, 30, 30, 29, 30,
+  /* 1494 */ 30, 30, 29, 29, 30, 29, 29, 30, 29, 30, 29, 30,
+  /* 1495 */ 30, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30, 29,
+  /* 1496 */ 30, 30, 30, 29, 30, 29, 30, 29, 29, 30, 29, 30,
+  /* 1497 */ 29, 30, 30, 29, 30, 30, 29, 29, 30, 29, 30, 29,
+  /* 1498 */ 30, 29, 30, 29, 30, 30, 29, 30, 29, 30, 29, 30,
+  /* 1499 */ 29, 30, 29, 30, 29, 30, 29, 30, 29, 30, 30, 29,
+  /* 1500 */ 30, 30, 29, 29, 30, 29, 29, 30, 29, 30, 30, 30
+];
+
+// [name, Arabic name], index 0 = Muharram
+const HIJRI_MONTHS = [
+  ['Muharram', 'مُحَرَّم'],
+  ['Safar', 'صَفَر'],
+  ["Rabi' al-Awwal", 'رَبِيع الأَوَّل'],
+  ["Rabi' al-Thani", 'رَبِيع الثَّانِي'],
+  ['Jumada al-Awwal', 'جُمَادَى الأُولَى'],
+  ['Jumada al-Thani', 'جُمَادَى الآخِرَة'],
+  ['Rajab', 'رَجَب'],
+  ["Sha'ban", 'شَعْبَان'],
+  ['Ramadan', 'رَمَضَان'],
+  ['Shawwal', 'شَوَّال'],
+  ["Dhu al-Qi'dah", 'ذُو القَعْدَة'],
+  ['Dhu al-Hijjah', 'ذُو الحِجَّة']
+];
+
+// Observances by Hijri month/day. `days` spans several days; `night` marks
+// nights that begin at sunset on the evening before the date; `untilMonthEnd`
+// runs to the last day of the month, whether it has 29 or 30 days.
+const ISLAMIC_EVENTS = [
+  { id: 'islamic-new-year', name: 'Islamic New Year', month: 1, day: 1 },
+  { id: 'tasua', name: "Tasu'a", month: 1, day: 9 },
+  { id: 'ashura', name: 'Ashura', month: 1, day: 10 },
+  { id: 'mawlid', name: 'Mawlid an-Nabi', month: 3, day: 12 },
+  { id: 'isra-miraj', name: "Isra and Mi'raj", month: 7, day: 27, night: true },
+  { id: 'mid-shaban', name: "Mid-Sha'ban (Laylat al-Bara'ah)", month: 8, day: 15, night: true },
+  { id: 'ramadan', name: 'Ramadan', month: 9, day: 1, untilMonthEnd: true },
+  { id: 'laylat-al-qadr-21', name: 'Laylat al-Qadr (21st night)', month: 9, day: 21, night: true },
+  { id: 'laylat-al-qadr-23', name: 'Laylat al-Qadr (23rd night)', month: 9, day: 23, night: true },
+  { id: 'laylat-al-qadr-25', name: 'Laylat al-Qadr (25th night)', month: 9, day: 25, night: true },
+  { id: 'laylat-al-qadr-27', name: 'Laylat al-Qadr (27th night)', month: 9, day: 27, night: true },
+  { id: 'laylat-al-qadr-29', name: 'Laylat al-Qadr (29th night)', month: 9, day: 29, night: true },
+  { id: 'eid-al-fitr', name: 'Eid al-Fitr', month: 10, day: 1 },
+  { id: 'dhul-hijjah-first-ten', name: 'First ten days of Dhu al-Hijjah', month: 12, day: 1, days: 10 },
+  { id: 'day-of-arafah', name: 'Day of Arafah', month: 12, day: 9 },
+  { id: 'eid-al-adha', name: 'Eid al-Adha', month: 12, day: 10 },
+  { id: 'days-of-tashriq', name: 'Days of Tashriq', month: 12, day: 11, days: 3 }
+];
+
+module.exports = {
+  UMM_AL_QURA_FIRST_YEAR,
+  UMM_AL_QURA_EPOCH,
+  UMM_AL_QURA_MONTH_LENGTHS,
+  HIJRI_MONTHS,
+  ISLAMIC_EVENTS
+};
@@ -0,0 +1,248 @@
+// Static Quran structure (Hafs 'an 'Asim numbering)
+const SURAH_COUNT = 114;
+const JUZ_COUNT = 30;
+const AYAH_COUNT = 6236;
+const PAGE_COUNT = 604;
+
+// Number of ayahs in each surah, index 0 = Al-Fatihah
+const SURAH_AYAH_COUNTS = [
+  7, 286, 200, 176, 120, 165, 206, 75, 129, 109, 123, 111, 43, 52, 99, 128, 111, 110, 98, 135,
+  112, 78, 118, 64, 77, 227, 93, 88, 69, 60, 34, 30, 73, 54, 45, 83, 182, 88, 75, 85,
+  54, 53, 89, 59, 37, 35, 38, 29, 18, 45, 60, 49, 62, 55, 78, 96, 29, 22, 24, 13,
+  14, 11, 11, 18, 12, 12, 30, 52, 52, 44, 28, 28, 20, 56, 40, 31, 50, 40, 46, 42,
+  29, 19, 36, 25, 22, 17, 19, 26, 30, 20, 15, 21, 11, 8, 8, 19, 5, 8, 8, 11,
+  11, 8, 3, 9, 5, 4, 7, 3, 6, 3, 5, 4, 5, 6
+];
+
+// [name, englishName, englishNameTranslation, revelationType], index 0 = surah 1
+const SURAH_NAMES = [
+  ['الفاتحة', 'Al-Faatiha', 'The Opening', 'Meccan'],
+  ['البقرة', 'Al-Baqara', 'The Cow', 'Medinan'],
+  ['آل عمران', 'Aal-i-Imraan', 'The Family of Imraan', 'Medinan'],
+  ['النساء', 'An-Nisaa', 'The Women', 'Medinan'],
+  ['المائدة', 'Al-Maaida', 'The Table', 'Medinan'],
+  ['الأنعام', 'Al-An\'aam', 'The Cattle', 'Meccan'],
+  ['الأعراف', 'Al-A\'raaf', 'The Heights', 'Meccan'],
+  ['الأنفال', 'Al-Anfaal', 'The Spoils of War', 'Medinan'],
+  ['التوبة', 'At-Tawba', 'The Repentance', 'Medinan'],
+  ['يونس', 'Yunus', 'Jonas', 'Meccan'],
+  ['هود', 'Hud', 'Hud', 'Meccan'],
+  ['يوسف', 'Yusuf', 'Joseph', 'Meccan'],
+  ['الرعد', 'Ar-Ra\'d', 'The Thunder', 'Medinan'],
+  ['إبراهيم', 'Ibrahim', 'Abraham', 'Meccan'],
+  ['الحجر', 'Al-Hijr', 'The Rock', 'Meccan'],
+  ['النحل', 'An-Nahl', 'The Bee', 'Meccan'],
+  ['الإسراء', 'Al-Israa', 'The Night Journey', 'Meccan'],
+  ['الكهف', 'Al-Kahf', 'The Cave', 'Meccan'],
+  ['مريم', 'Maryam', 'Mary', 'Meccan'],
+  ['طه', 'Taa-Haa', 'Taa-Haa', 'Meccan'],
+  ['الأنبياء', 'Al-Anbiyaa', 'The Prophets', 'Meccan'],
+  ['الحج', 'Al-Hajj', 'The Pilgrimage', 'Medinan'],
+  ['المؤمنون', 'Al-Muminoon', 'The Believers', 'Meccan'],
+  ['النور', 'An-Noor', 'The Light', 'Medinan'],
+  ['الفرقان', 'Al-Furqaan', 'The Criterion', 'Meccan'],
+  ['الشعراء', 'Ash-Shu\'araa', 'The Poets', 'Meccan'],
+  ['النمل', 'An-Naml', 'The Ant', 'Meccan'],
+  ['القصص', 'Al-Qasas', 'The Stories', 'Meccan'],
+  ['العنكبوت', 'Al-Ankaboot', 'The Spider', 'Meccan'],
+  ['الروم', 'Ar-Room', 'The Romans', 'Meccan'],
+  ['لقمان', 'Luqman', 'Luqman', 'Meccan'],
+  ['السجدة', 'As-Sajda', 'The Prostration', 'Meccan'],
+  ['الأحزاب', 'Al-Ahzaab', 'The Clans', 'Medinan'],
+  ['سبإ', 'Saba', 'Sheba', 'Meccan'],
+  ['فاطر', 'Faatir', 'The Originator', 'Meccan'],
+  ['يس', 'Yaseen', 'Yaseen', 'Meccan'],
+  ['الصافات', 'As-Saaffaat', 'Those drawn up in Ranks', 'Meccan'],
+  ['ص', 'Saad', 'The letter Saad', 'Meccan'],
+  ['الزمر', 'Az-Zumar', 'The Groups', 'Meccan'],
+  ['غافر', 'Ghafir', 'The Forgiver', 'Meccan'],
+  ['فصلت', 'Fussilat', 'Explained in detail', 'Meccan'],
+  ['الشورى', 'Ash-Shura', 'Consultation', 'Meccan'],
+  ['الزخرف', 'Az-Zukhruf', 'Ornaments of gold', 'Meccan'],
+  ['الدخان', 'Ad-Dukhaan', 'The Smoke', 'Meccan'],
+  ['الجاثية', 'Al-Jaathiya', 'Crouching', 'Meccan'],
+  ['الأحقاف', 'Al-Ahqaf', 'The Dunes', 'Meccan'],
+  ['محمد', 'Muhammad', 'Muhammad', 'Medinan'],
+  ['الفتح', 'Al-Fath', 'The Victory', 'Medinan'],
+  ['الحجرات', 'Al-Hujuraat', 'The Inner Apartments', 'Medinan'],
+  ['ق', 'Qaaf', 'The letter Qaaf', 'Meccan'],
+  ['الذاريات', 'Adh-Dhaariyat', 'The Winnowing Winds', 'Meccan'],
+  ['الطور', 'At-Tur', 'The Mount', 'Meccan'],
+  ['النجم', 'An-Najm', 'The Star', 'Meccan'],
+  ['القمر', 'Al-Qamar', 'The Moon', 'Meccan'],
+  ['الرحمن', 'Ar-Rahmaan', 'The Beneficent', 'Medinan'],
+  ['الواقعة', 'Al-Waaqia', 'The Inevitable', 'Meccan'],
+  ['الحديد', 'Al-Hadid', 'The Iron', 'Medinan'],
+  ['المجادلة', 'Al-Mujaadila', 'The Pleading Woman', 'Medinan'],
+  ['الحشر', 'Al-Hashr', 'The Exile', 'Medinan'],
+  ['الممتحنة', 'Al-Mumtahana', 'She that is to be examined', 'Medinan'],
+  ['الصف', 'As-Saff', 'The Ranks', 'Medinan'],
+  ['الجمعة', 'Al-Jumu\'a', 'Friday', 'Medinan'],
+  ['المنافقون', 'Al-Munaafiqoon', 'The Hypocrites', 'Medinan'],
+  ['التغابن', 'At-Taghaabun', 'Mutual Disillusion', 'Medinan'],
+  ['الطلاق', 'At-Talaaq', 'Divorce', 'Medinan'],
+  ['التحريم', 'At-Tahrim', 'The Prohibition', 'Medinan'],
+  ['الملك', 'Al-Mulk', 'The Sovereignty', 'Meccan'],
+  ['القلم', 'Al-Qalam', 'The Pen', 'Meccan'],
+  ['الحاقة', 'Al-Haaqqa', 'The Reality', 'Meccan'],
+  ['المعارج', 'Al-Ma\'aarij', 'The Ascending Stairways', 'Meccan'],
+  ['نوح', 'Nooh', 'Noah', 'Meccan'],
+  ['الجن', 'Al-Jinn', 'The Jinn', 'Meccan'],
+  ['المزمل', 'Al-Muzzammil', 'The Enshrouded One', 'Meccan'],
+  ['المدثر', 'Al-Muddaththir', 'The Cloaked One', 'Meccan'],
+  ['القيامة', 'Al-Qiyaama', 'The Resurrection', 'Meccan'],
+  ['الإنسان', 'Al-Insaan', 'Man', 'Medinan'],
+  ['المرسلات', 'Al-Mursalaat', 'The Emissaries', 'Meccan'],
+  ['النبإ', 'An-Naba', 'The Announcement', 'Meccan'],
+  ['النازعات', 'An-Naazi\'aat', 'Those who drag forth', 'Meccan'],
+  ['عبس', 'Abasa', 'He frowned', 'Meccan'],
+  ['التكوير', 'At-Takwir', 'The Overthrowing', 'Meccan'],
+  ['الإنفطار', 'Al-Infitaar', 'The Cleaving', 'Meccan'],
+  ['المطففين', 'Al-Mutaffifin', 'Defrauding', 'Meccan'],
+  ['الإنشقاق', 'Al-Inshiqaaq', 'The Splitting Open', 'Meccan'],
+  ['البروج', 'Al-Burooj', 'The Constellations', 'Meccan'],
+  ['الطارق', 'At-Taariq', 'The Morning Star', 'Meccan'],
+  ['الأعلى', 'Al-A\'laa', 'The Most High', 'Meccan'],
+  ['الغاشية', 'Al-Ghaashiya', 'The Overwhelming', 'Meccan'],
+  ['الفجر', 'Al-Fajr', 'The Dawn', 'Meccan'],
+  ['البلد', 'Al-Balad', 'The City', 'Meccan'],
+  ['الشمس', 'Ash-Shams', 'The Sun', 'Meccan'],
+  ['الليل', 'Al-Lail', 'The Night', 'Meccan'],
+  ['الضحى', 'Ad-Dhuhaa', 'The Morning Hours', 'Meccan'],
+  ['الشرح', 'Ash-Sharh', 'The Consolation', 'Meccan'],
+  ['التين', 'At-Tin', 'The Fig', 'Meccan'],
+  ['العلق', 'Al-Alaq', 'The Clot', 'Meccan'],
+  ['القدر', 'Al-Qadr', 'The Power, Fate', 'Meccan'],
+  ['البينة', 'Al-Bayyina', 'The Evidence', 'Medinan'],
+  ['الزلزلة', 'Az-Zalzala', 'The Earthquake', 'Medinan'],
+  ['العاديات', 'Al-Aadiyaat', 'The Chargers', 'Meccan'],
+  ['القارعة', 'Al-Qaari\'a', 'The Calamity', 'Meccan'],
+  ['التكاثر', 'At-Takaathur', 'Competition', 'Meccan'],
+  ['العصر', 'Al-Asr', 'The Declining Day, Epoch', 'Meccan'],
+  ['الهمزة', 'Al-Humaza', 'The Traducer', 'Meccan'],
+  ['الفيل', 'Al-Fil', 'The Elephant', 'Meccan'],
+  ['قريش', 'Quraish', 'Quraysh', 'Meccan'],
+  ['الماعون', 'Al-Maa\'un', 'Almsgiving', 'Meccan'],
+  ['الكوثر', 'Al-Kawthar', 'Abundance', 'Meccan'],
+  ['الكافرون', 'Al-Kaafiroon', 'The Disbelievers', 'Meccan'],
+  ['النصر', 'An-Nasr', 'Divine Support', 'Medinan'],
+  ['المسد', 'Al-Masad', 'The Palm Fibre', 'Meccan'],
+  ['الإخلاص', 'Al-Ikhlaas', 'Sincerity', 'Meccan'],
+  ['الفلق', 'Al-Falaq', 'The Dawn', 'Meccan'],
+  ['الناس', 'An-Naas', 'Mankind', 'Meccan']
+];
+
+// First ayah of each juz as [surah, ayah], index 0 = juz 1
+const JUZ_STARTS = [
+  [1, 1], [2, 142], [2, 253], [3, 93], [4, 24], [4, 148], [5, 82], [6, 111], [7, 88], [8, 41],
+  [9, 93], [11, 6], [12, 53], [15, 1], [17, 1], [18, 75], [21, 1], [23, 1], [25, 21], [27, 56],
+  [29, 46], [33, 31], [36, 28], [39, 32], [41, 47], [46, 1], [51, 31], [58, 1], [67, 1], [78, 1]
+];
+
+// First ayah of each page of the Madani mushaf, as a position in the whole
+// mushaf (see globalAyahNumber), index 0 = page 1
+const PAGE_STARTS = [
+  1, 8, 13, 24, 32, 37, 45, 56, 65, 69, 77, 84, 91, 96, 101, 109, 113, 120, 127, 134,
+  142, 149, 153, 161, 171, 177, 184, 189, 194, 198, 204, 210, 218, 223, 227, 232, 238, 241, 245, 253,
+  256, 260, 264, 267, 272, 277, 282, 289, 290, 294, 303, 309, 316, 323, 331, 339, 346, 355, 364, 371,
+  377, 385, 394, 402, 409, 415, 426, 434, 442, 447, 451, 459, 467, 474, 480, 488, 494, 500, 505, 508,
+  513, 517, 520, 527, 531, 538, 545, 553, 559, 568, 573, 580, 585, 588, 595, 599, 607, 615, 621, 628,
+  634, 641, 648, 656, 664, 669, 672, 675, 679, 683, 687, 693, 701, 706, 711, 715, 720, 727, 734, 740,
+  746, 752, 759, 765, 773, 778, 783, 790, 798, 808, 817, 825, 834, 842, 849, 858, 863, 871, 880, 884,
+  891, 900, 908, 914, 921, 927, 932, 936, 941, 947, 955, 966, 977, 985, 992, 998, 1006, 1012, 1022, 1028,
+  1036, 1042, 1050, 1059, 1075, 1085, 1092, 1098, 1104, 1110, 1114, 1118, 1125, 1133, 1142, 1150, 1161, 1169, 1177, 1186,
+  1194, 1201, 1206, 1213, 1222, 1230, 1236, 1242, 1249, 1256, 1262, 1267, 1272, 1276, 1283, 1290, 1297, 1304, 1308, 1315,
+  1322, 1329, 1335, 1342, 1347, 1353, 1358, 1365, 1371, 1379, 1385, 1390, 1398, 1407, 1418, 1426, 1435, 1443, 1453, 1462,
+  1471, 1479, 1486, 1493, 1502, 1511, 1519, 1527, 1536, 1545, 1555, 1562, 1571, 1582, 1591, 1601, 1611, 1619, 1627, 1634,
+  1640, 1649, 1660, 1666, 1675, 1683, 1692, 1700, 1708, 1713, 1721, 1726, 1736, 1742, 1750, 1756, 1761, 1769, 1775, 1784,
+  1793, 1803, 1818, 1834, 1854, 1873, 1893, 1908, 1916, 1928, 1936, 1944, 1956, 1966, 1974, 1981, 1989, 1995, 2004, 2012,
+  2020, 2030, 2037, 2047, 2057, 2068, 2079, 2088, 2096, 2105, 2116, 2126, 2134, 2145, 2156, 2161, 2168, 2175, 2186, 2194,
+  2202, 2215, 2224, 2238, 2251, 2262, 2276, 2289, 2302, 2315, 2327, 2346, 2361, 2386, 2400, 2413, 2425, 2436, 2447, 2462,
+  2474, 2484, 2494, 2508, 2519, 2528, 2541, 2556, 2565, 2574, 2585, 2596, 2601, 2611, 2619, 2626, 2634, 2642, 2651, 2660,
+  2668, 2674, 2691, 2701, 2716, 2733, 2748, 2763, 2778, 2792, 2802, 2812, 2819, 2823, 2828, 2835, 2845, 2850, 2853, 2858,
+  2867, 2876, 2888, 2899, 2911, 2923, 2933, 2952, 2972, 2993, 3016, 3044, 3069, 3092, 3116, 3139, 3160, 3173, 3182, 3195,
+  3204, 3215, 3223, 3236, 3248, 3258, 3266, 3274, 3281, 3288, 3296, 3303, 3312, 3323, 3330, 3337, 3347, 3355, 3364, 3371,
+  3379, 3386, 3393, 3404, 3415, 3425, 3434, 3442, 3451, 3460, 3470, 3481, 3489, 3498, 3504, 3515, 3524, 3534, 3540, 3549,
+  3556, 3564, 3569, 3577, 3584, 3588, 3596, 3607, 3614, 3621, 3629, 3638, 3646, 3655, 3664, 3672, 3679, 3691, 3699, 3705,
+  3718, 3733, 3746, 3760, 3776, 3789, 3813, 3840, 3865, 3891, 3915, 3942, 3971, 3987, 3997, 4013, 4032, 4054, 4064, 4069,
+  4080, 4090, 4099, 4106, 4115, 4126, 4133, 4141, 4150, 4159, 4167, 4174, 4183, 4192, 4200, 4211, 4219, 4230, 4239, 4248,
+  4257, 4265, 4273, 4283, 4288, 4295, 4304, 4317, 4324, 4336, 4348, 4359, 4373, 4386, 4399, 4415, 4433, 4454, 4474, 4487,
+  4496, 4506, 4516, 4525, 4531, 4539, 4546, 4557, 4565, 4575, 4584, 4593, 4599, 4607, 4612, 4617, 4624, 4631, 4646, 4666,
+  4682, 4706, 4727, 4750, 4767, 4785, 4811, 4829, 4853, 4874, 4896, 4918, 4942, 4969, 4996, 5030, 5056, 5079, 5087, 5094,
+  5100, 5105, 5111, 5116, 5126, 5130, 5136, 5143, 5151, 5156, 5162, 5169, 5178, 5186, 5193, 5200, 5209, 5218, 5223, 5230,
+  5237, 5242, 5254, 5268, 5287, 5314, 5332, 5358, 5386, 5415, 5430, 5448, 5461, 5476, 5495, 5513, 5543, 5571, 5597, 5617,
+  5642, 5673, 5703, 5728, 5759, 5801, 5830, 5855, 5883, 5910, 5932, 5964, 5994, 6017, 6044, 6073, 6099, 6126, 6138, 6156,
+  6177, 6194, 6208, 6222
+];
+
+function ayahCount(surah) {
+  return SURAH_AYAH_COUNTS[surah - 1] || 0;
+}
+
+// Surah summary in the alquran.cloud shape
+function surahInfo(number) {
+  const [name, englishName, englishNameTranslation, revelationType] = SURAH_NAMES[number - 1];
+  return {
+    number,
+    name,
+    englishName,
+    englishNameTranslation,
+    numberOfAyahs: ayahCount(number),
+    revelationType
+  };
+}
+
+// Position of an ayah in the whole mushaf (1..6236)
+function globalAyahNumber(surah, ayah) {
+  let number = ayah;
+  for (let i = 0; i < surah - 1; i += 1) number += SURAH_AYAH_COUNTS[i];
+  return number;
+}
+
+// { surah, ayah } at a position in the whole mushaf
+function ayahAt(number) {
+  let surah = 1;
+  let ayah = number;
+  while (surah < SURAH_COUNT && ayah > SURAH_AYAH_COUNTS[surah - 1]) {
+    ayah -= SURAH_AYAH_COUNTS[surah - 1];
+    surah += 1;
+  }
+  return { surah, ayah };
+}
+
+function pageOf(surah, ayah) {
+  const number = globalAyahNumber(surah, ayah);
+  let low = 0;
+  let high = PAGE_COUNT - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (PAGE_STARTS[mid] <= number) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+function juzOf(surah, ayah) {
+  let juz = 1;
+  JUZ_STARTS.forEach(([s, a], index) => {
+    if (surah > s || (surah === s && ayah >= a)) juz = index + 1;
+  });
+  return juz;
+}
+
+module.exports = {
+  SURAH_COUNT,
+  JUZ_COUNT,
+  AYAH_COUNT,
+  PAGE_COUNT,
+  SURAH_AYAH_COUNTS,
+  SURAH_NAMES,
+  JUZ_STARTS,
+  PAGE_STARTS,
+  ayahCount,
+  surahInfo,
+  globalAyahNumber,
+  ayahAt,
+  pageOf,
+  juzOf
+};
@@ -0,0 +1,46 @@
+// Reciters available out of the box. The catalog (services/reciters.js) starts
+// from these; editors can change or remove them and add others via the API.
+//
+// surahUrl  folder of whole-surah files named 001.mp3 .. 114.mp3 (quranicaudio.com)
+// ayahUrl   folder of per-ayah files named SSSAAA.mp3, e.g. 002255.mp3 (everyayah.com)
+const RECITER_STYLES = ['murattal', 'mujawwad', 'muallim'];
+
+const DEFAULT_RECITERS = {
+  mishari: {
+    name: 'Mishary Rashid Alafasy',
+    arabicName: 'مشاري راشد العفاسي',
+    style: 'murattal',
+    bitrate: 128,
+    surahUrl: 'https://download.quranicaudio.com/quran/mishaari_raashid_al_3afaasee/',
+    ayahUrl: 'https://everyayah.com/data/Alafasy_128kbps/'
+  },
+  abdulbaset: {
+    name: 'Abdul Basit Abdul Samad',
+    arabicName: 'عبد الباسط عبد الصمد',
+    style: 'murattal',
+    bitrate: 192,
+    surahUrl: 'https://download.quranicaudio.com/quran/abdulbaset_abdulsamad/',
+    ayahUrl: 'https://everyayah.com/data/Abdul_Basit_Murattal_192kbps/'
+  },
+  hudhaify: {
+    name: 'Ali Al-Hudhaify',
+    arabicName: 'علي الحذيفي',
+    style: 'murattal',
+    bitrate: 128,
+    surahUrl: 'https://download.quranicaudio.com/quran/hudhaify/',
+    ayahUrl: 'https://everyayah.com/data/Hudhaify_128kbps/'
+  },
+  shatri: {
+    name: 'Abu Bakr Ash-Shatri',
+    arabicName: 'أبو بكر الشاطري',
+    style: 'murattal',
+    bitrate: 128,
+    surahUrl: 'https://download.quranicaudio.com/quran/abu_bakr_ash-shatree/',
+    ayahUrl: 'https://everyayah.com/data/Abu_Bakr_Ash-Shaatree_128kbps/'
+  }
+};
+
+module.exports = {
+  RECITER_STYLES,
+  DEFAULT_RECITERS
+};
@@ -0,0 +1,63 @@
+const sqlite3 = require('sqlite3').verbose();
+const { DB_FILE } = require('./app');
+
+const db = new sqlite3.Database(DB_FILE, (err) => {
+  if (err) {
+    console.error('Failed open DB:', err);
+    process.exit(1);
+  }
+  console.log('Connected to SQLite DB:', DB_FILE);
+});
+
+// Queue every statement in order, so schema set up by other modules
+// (storage, tokens, ...) always runs after the tables it depends on
+db.serialize();
+
+// Create users table if not exists
+db.serialize(() => {
+  db.run(
+    `CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      name TEXT,
+      created_at TEXT NOT NULL
+    )`,
+    (err) => {
+      if (err) console.error('Create table error:', err);
+      else console.log('Users table ready');
+    }
+  );
+});
+
+// Promise helpers around the callback API
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Lightweight migration for tables created by earlier versions
+async function addColumnIfMissing(table, column, definition) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some((c) => c.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = { db, run, get, all, addColumnIfMissing };
@@ -1,6 +1,38 @@
-const { admin } = require('../config/firebase');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, STORAGE_BACKEND, REQUIRE_EMAIL_VERIFICATION } = require('../config/app');
+const { isAccessTokenRevoked } = require('../services/tokens');
+const { isEmailVerified } = require('../services/accountEmails');
+const storage = require('../storage');
 
-const authenticateToken = async (req, res, next) => {
+// admin: everything; editor: create/update content; moderator: take content down;
+// teacher: follow the hifz progress of students in their class
+const ROLES = ['admin', 'editor', 'moderator', 'teacher'];
+
+// Roles on a `users/<uid>` record; the legacy isAdmin flag still counts as admin
+const getUserRoles = (userData) => {
+  const roles = new Set(Array.isArray(userData && userData.roles) ? userData.roles : []);
+  if (userData && userData.isAdmin) roles.add('admin');
+  return [...roles];
+};
+
+// Verify a bearer token for the active backend.
+// Firebase mode expects Firebase ID tokens, SQLite mode our own JWTs.
+const verifyToken = async (token) => {
+  if (STORAGE_BACKEND === 'firebase') {
+    const { admin } = require('../config/firebase');
+    return admin.auth().verifyIdToken(token);
+  }
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (await isAccessTokenRevoked(decoded)) {
+    throw new Error('Token has been revoked');
+  }
+
+  // Expose `uid` and `email_verified` like Firebase does so routes work on either backend
+  return { ...decoded, uid: decoded.id, email_verified: await isEmailVerified(decoded.id) };
+};
+
+const authenticate = ({ allowUnverified = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -12,9 +44,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken;
+    req.user = await verifyToken(token);
+
+    if (REQUIRE_EMAIL_VERIFICATION && !allowUnverified && !req.user.email_verified) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address'
+      });
+    }
+
     next();
   } catch (error) {
     console.error('Auth error:', error);
@@ -25,14 +64,19 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = authenticate();
+
+// For account housekeeping (profile, logout, resend verification) that
+// unverified users must still reach when REQUIRE_EMAIL_VERIFICATION is on
+const authenticateUnverified = authenticate({ allowUnverified: true });
+
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decodedToken = await admin.auth().verifyIdToken(token);
-      req.user = decodedToken;
+      req.user = await verifyToken(token);
     }
     next();
   } catch (error) {
@@ -40,4 +84,36 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken, optionalAuth };
+// Use after authenticateToken. Admins pass every role check.
+const requireRole = (...allowed) => async (req, res, next) => {
+  try {
+    const userData = await storage.get('users', req.user.uid);
+    const roles = getUserRoles(userData);
+
+    if (!roles.includes('admin') && !allowed.some((role) => roles.includes(role))) {
+      const label = allowed.join(' or ');
+      return res.status(403).json({
+        status: 'error',
+        message: `${label.charAt(0).toUpperCase()}${label.slice(1)} access required`
+      });
+    }
+
+    req.user.roles = roles;
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to verify permissions'
+    });
+  }
+};
+
+module.exports = {
+  authenticateToken,
+  authenticateUnverified,
+  optionalAuth,
+  requireRole,
+  getUserRoles,
+  ROLES
+};
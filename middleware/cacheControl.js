@@ -0,0 +1,16 @@
+// Cache-Control for read-only endpoints. Express already adds an ETag to
+// every res.json() body and answers If-None-Match with 304.
+// Requests that carry a token may get personalised data, so those are private;
+// error responses are never cached.
+const cacheControl = (maxAgeSeconds) => (req, res, next) => {
+  const scope = req.headers.authorization ? 'private' : 'public';
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    res.set('Cache-Control', res.statusCode < 400 ? `${scope}, max-age=${maxAgeSeconds}` : 'no-store');
+    return json(body);
+  };
+  next();
+};
+
+module.exports = { cacheControl };
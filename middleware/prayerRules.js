@@ -0,0 +1,47 @@
+const { METHODS, ASR_SCHOOLS, HIGH_LATITUDE_RULES, isValidTimezone } = require('../services/prayerTimes');
+
+// Validation rules shared by the prayer and mosque routes
+
+// Aladhan calculation method ids, limited to the ones we can compute
+const methodRule = {
+  type: 'integer',
+  check: (method) => (METHODS[method] ? undefined : 'is not a supported calculation method')
+};
+const placeRule = { type: 'string', minLength: 1, maxLength: 100 };
+const schoolRule = { type: 'enum', values: Object.keys(ASR_SCHOOLS) };
+const latitudeAdjustmentRule = { type: 'enum', values: HIGH_LATITUDE_RULES };
+const dateRule = {
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a date (YYYY-MM-DD)',
+  check: (date) => {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date
+      ? 'is not a valid date'
+      : undefined;
+  }
+};
+const timezoneRule = {
+  type: 'string',
+  maxLength: 64,
+  check: (timezone) => (isValidTimezone(timezone) ? undefined : 'is not a known IANA timezone')
+};
+
+// Days added to the calculated Hijri date, for local moon sighting
+const hijriAdjustmentRule = { type: 'integer', min: -2, max: 2 };
+
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map((part) => parseInt(part, 10));
+  return { year, month, day };
+}
+
+module.exports = {
+  methodRule,
+  placeRule,
+  schoolRule,
+  latitudeAdjustmentRule,
+  dateRule,
+  timezoneRule,
+  hijriAdjustmentRule,
+  parseDate
+};
@@ -0,0 +1,21 @@
+const { SURAH_COUNT, ayahCount } = require('../config/quranMeta');
+
+// Validation rules shared by the Quran, audio and hifz routes
+
+const surahRule = { type: 'integer', required: true, min: 1, max: SURAH_COUNT };
+
+// Ayah number within the surah given in the same location (params or body)
+const ayahRule = (location, surahField = 'surah') => ({
+  type: 'integer',
+  required: true,
+  min: 1,
+  check: (ayah, request) => {
+    const surah = request[location][surahField];
+    return ayah > ayahCount(surah) ? `must be at most ${ayahCount(surah)} for surah ${surah}` : undefined;
+  }
+});
+
+module.exports = {
+  surahRule,
+  ayahRule
+};
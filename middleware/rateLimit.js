@@ -0,0 +1,104 @@
+const { createStore } = require('../services/rateLimitStore');
+
+// Rate limiting for the auth endpoints: per-IP request limits plus a
+// temporary per-account lockout after repeated failed logins.
+const envInt = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+const MINUTE = 60 * 1000;
+
+const LOGIN_IP_MAX = envInt('LOGIN_RATE_LIMIT_MAX', 20);
+const LOGIN_IP_WINDOW_MS = envInt('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE;
+const REGISTER_IP_MAX = envInt('REGISTER_RATE_LIMIT_MAX', 10);
+const REGISTER_IP_WINDOW_MS = envInt('REGISTER_RATE_LIMIT_WINDOW_MINUTES', 60) * MINUTE;
+const LOGIN_MAX_FAILURES = envInt('LOGIN_MAX_FAILURES', 5);
+const LOGIN_FAILURE_WINDOW_MS = envInt('LOGIN_FAILURE_WINDOW_MINUTES', 15) * MINUTE;
+const LOGIN_LOCKOUT_MS = envInt('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE;
+
+const store = createStore((process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase());
+
+const tooManyRequests = (res, resetAt, message) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    code: 'TOO_MANY_REQUESTS',
+    message,
+    retryAfter
+  });
+};
+
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+
+// Limit requests per client IP
+const rateLimit = ({ name, max, windowMs, message = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    try {
+      const { count, resetAt } = await store.hit(`${name}:ip:${req.ip}`, windowMs);
+      if (count > max) return tooManyRequests(res, resetAt, message);
+      next();
+    } catch (error) {
+      // Never lock everyone out because the counter store failed
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+
+// Reject logins for an account that is locked out
+const checkAccountLock = async (req, res, next) => {
+  try {
+    const email = accountKey(req.body && req.body.email);
+    const lock = email && (await store.get(`login:lock:${email}`));
+    if (lock) {
+      return tooManyRequests(res, lock.resetAt, 'Too many failed login attempts, account temporarily locked');
+    }
+    next();
+  } catch (error) {
+    console.error('Account lock check error:', error);
+    next();
+  }
+};
+
+// Called by the login handlers after checking the password.
+// Errors are logged, not thrown, so a store outage can't break logins.
+const recordLoginFailure = async (email) => {
+  try {
+    const key = accountKey(email);
+    const { count } = await store.hit(`login:fail:${key}`, LOGIN_FAILURE_WINDOW_MS);
+    if (count >= LOGIN_MAX_FAILURES) {
+      await store.hit(`login:lock:${key}`, LOGIN_LOCKOUT_MS);
+      await store.reset(`login:fail:${key}`);
+    }
+  } catch (error) {
+    console.error('Record login failure error:', error);
+  }
+};
+
+const recordLoginSuccess = async (email) => {
+  try {
+    await store.reset(`login:fail:${accountKey(email)}`);
+  } catch (error) {
+    console.error('Record login success error:', error);
+  }
+};
+
+const loginRateLimit = rateLimit({
+  name: 'login',
+  max: LOGIN_IP_MAX,
+  windowMs: LOGIN_IP_WINDOW_MS,
+  message: 'Too many login attempts, please try again later'
+});
+
+const registerRateLimit = rateLimit({
+  name: 'register',
+  max: REGISTER_IP_MAX,
+  windowMs: REGISTER_IP_WINDOW_MS,
+  message: 'Too many registrations from this address, please try again later'
+});
+
+module.exports = {
+  rateLimit,
+  loginRateLimit,
+  registerRateLimit,
+  checkAccountLock,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -0,0 +1,215 @@
+// Declarative request validation.
+//
+//   router.get('/', validate({ query: { page: { type: 'integer', min: 1, default: 1 } } }), handler)
+//
+// Each location (params, query, body) maps field names to a rule:
+//   type      string | integer | number | boolean | email | password | url | enum | array | object
+//   required  reject when missing (empty strings count as missing)
+//   default   value used when missing
+//   min/max   bounds for numbers, minLength/maxLength for strings and arrays
+//   values    allowed values for enum
+//   check     (value, { params, query, body }) => error message | undefined, for cross-field rules
+// Valid, coerced values replace the originals on req, so handlers can trust
+// `req.query.page` to be a number. Failures answer 400 with every field error.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const checkLength = (length, rule, unit) => {
+  if (rule.minLength !== undefined && length < rule.minLength) {
+    return `must be at least ${rule.minLength} ${unit}`;
+  }
+  if (rule.maxLength !== undefined && length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} ${unit}`;
+  }
+  return undefined;
+};
+
+const checkRange = (value, rule) => {
+  if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+  return undefined;
+};
+
+// Each type returns { value } (possibly coerced) or { error }
+const types = {
+  string(value, rule) {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const trimmed = value.trim();
+    const error = checkLength(trimmed.length, rule, 'characters');
+    if (error) return { error };
+    if (rule.pattern && !rule.pattern.test(trimmed)) {
+      return { error: rule.patternMessage || 'has an invalid format' };
+    }
+    return { value: trimmed };
+  },
+
+  integer(value, rule) {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number)) return { error: 'must be an integer' };
+    const error = checkRange(number, rule);
+    return error ? { error } : { value: number };
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+    const error = checkRange(number, rule);
+    return error ? { error } : { value: number };
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === '1') return { value: true };
+    if (value === 'false' || value === '0') return { value: false };
+    return { error: 'must be true or false' };
+  },
+
+  email(value) {
+    if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+      return { error: 'must be a valid email address' };
+    }
+    return { value: value.trim().toLowerCase() };
+  },
+
+  // Not trimmed: spaces are valid password characters
+  password(value) {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    if (value.length < PASSWORD_MIN_LENGTH) {
+      return { error: `must be at least ${PASSWORD_MIN_LENGTH} characters` };
+    }
+    if (value.length > 128) return { error: 'must be at most 128 characters' };
+    if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+      return { error: 'must contain at least one letter and one number' };
+    }
+    return { value };
+  },
+
+  url(value) {
+    if (typeof value !== 'string') return { error: 'must be a URL' };
+    try {
+      const url = new URL(value.trim());
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: 'must be an http(s) URL' };
+      }
+      return { value: value.trim() };
+    } catch (e) {
+      return { error: 'must be a valid URL' };
+    }
+  },
+
+  enum(value, rule) {
+    const match = rule.values.find((allowed) => String(allowed) === String(value));
+    if (match === undefined) return { error: `must be one of: ${rule.values.join(', ')}` };
+    return { value: match };
+  },
+
+  // Query strings also accept comma-separated lists
+  array(value, rule) {
+    const items = typeof value === 'string' ? value.split(',').map((s) => s.trim()).filter(Boolean) : value;
+    if (!Array.isArray(items)) return { error: 'must be a list' };
+    const error = checkLength(items.length, rule, 'items');
+    if (error) return { error };
+    if (!rule.items) return { value: items };
+
+    const coerced = [];
+    for (let i = 0; i < items.length; i += 1) {
+      const result = types[rule.items.type](items[i], rule.items);
+      if (result.error) return { error: `item ${i + 1} ${result.error}` };
+      coerced.push(result.value);
+    }
+    return { value: coerced };
+  },
+
+  object(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+    return { value };
+  }
+};
+
+const validateLocation = (req, location, schema, errors) => {
+  const input = req[location] || {};
+  const output = { ...input };
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+
+    if (isMissing(raw)) {
+      if (rule.required) {
+        errors.push({ field, location, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        output[field] = rule.default;
+      } else {
+        delete output[field];
+      }
+      return;
+    }
+
+    const result = types[rule.type](raw, rule);
+    if (result.error) {
+      errors.push({ field, location, message: `${field} ${result.error}` });
+      return;
+    }
+    output[field] = result.value;
+  });
+
+  return output;
+};
+
+const validate = (schemas) => {
+  Object.values(schemas).forEach((schema) => {
+    Object.entries(schema).forEach(([field, rule]) => {
+      if (!types[rule.type]) throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+    });
+  });
+
+  return (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    ['params', 'query', 'body'].forEach((location) => {
+      if (schemas[location]) {
+        validated[location] = validateLocation(req, location, schemas[location], errors);
+      }
+    });
+
+    // Cross-field checks run once every field has its coerced value
+    if (!errors.length) {
+      ['params', 'query', 'body'].forEach((location) => {
+        Object.entries(schemas[location] || {}).forEach(([field, rule]) => {
+          const value = validated[location][field];
+          if (!rule.check || value === undefined) return;
+          const message = rule.check(value, validated);
+          if (message) errors.push({ field, location, message: `${field} ${message}` });
+        });
+      });
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    Object.assign(req, validated);
+    next();
+  };
+};
+
+// Rules shared by several routes
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const rules = {
+  // Storage keys; also stops '/' sneaking into Realtime Database paths
+  id: { type: 'string', required: true, pattern: ID_PATTERN, patternMessage: 'is not a valid id' },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: (fallback, max = 100) => ({ type: 'integer', min: 1, max, default: fallback }),
+  email: { type: 'email', required: true },
+  password: { type: 'password', required: true }
+};
+
+module.exports = { validate, rules };
@@ -0,0 +1,200 @@
+const express = require('express');
+const storage = require('../storage');
+const { authenticateToken, requireRole, getUserRoles, ROLES } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { cache } = require('../services/cache');
+
+const router = express.Router();
+
+// Every admin endpoint requires the admin role
+router.use(authenticateToken, requireRole('admin'));
+
+// Record who changed what in the audit log
+async function audit(action, req, details) {
+  await storage.push('audit_log', {
+    action,
+    actor: req.user.uid,
+    ...details,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Get a user's roles
+router.get('/users/:uid/roles', validate({ params: { uid: rules.id } }), async (req, res) => {
+  try {
+    const userData = await storage.get('users', req.params.uid);
+
+    if (!userData) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { uid: req.params.uid, roles: getUserRoles(userData) }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch roles'
+    });
+  }
+});
+
+// Grant a role
+const roleRule = { type: 'enum', required: true, values: ROLES };
+
+router.post('/users/:uid/roles', validate({
+  params: { uid: rules.id },
+  body: { role: roleRule }
+}), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { role } = req.body;
+
+    const userData = await storage.get('users', uid);
+    if (!userData) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const roles = getUserRoles(userData);
+    if (!roles.includes(role)) {
+      roles.push(role);
+      await storage.update('users', uid, {
+        roles,
+        isAdmin: roles.includes('admin'),
+        updatedAt: new Date().toISOString()
+      });
+      await audit('role.grant', req, { target: uid, role });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Role granted',
+      data: { uid, roles }
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to grant role'
+    });
+  }
+});
+
+// Revoke a role
+router.delete('/users/:uid/roles/:role', validate({
+  params: { uid: rules.id, role: roleRule }
+}), async (req, res) => {
+  try {
+    const { uid, role } = req.params;
+
+    if (uid === req.user.uid && role === 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Admins cannot revoke their own admin role'
+      });
+    }
+
+    const userData = await storage.get('users', uid);
+    if (!userData) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const current = getUserRoles(userData);
+    const roles = current.filter((r) => r !== role);
+    if (roles.length !== current.length) {
+      await storage.update('users', uid, {
+        roles,
+        isAdmin: roles.includes('admin'),
+        updatedAt: new Date().toISOString()
+      });
+      await audit('role.revoke', req, { target: uid, role });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Role revoked',
+      data: { uid, roles }
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke role'
+    });
+  }
+});
+
+// Get audit log (newest first)
+router.get('/audit', validate({ query: { limit: rules.limit(50, 500) } }), async (req, res) => {
+  try {
+    const { limit: limitNum } = req.query;
+
+    const entries = await storage.list('audit_log', {
+      orderBy: 'createdAt',
+      limitToLast: limitNum
+    });
+
+    res.json({
+      status: 'success',
+      data: entries.reverse()
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Cache statistics
+router.get('/cache', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await cache.stats()
+    });
+  } catch (error) {
+    console.error('Get cache stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch cache statistics'
+    });
+  }
+});
+
+// Purge cached upstream responses, e.g. ?prefix=quran: or ?prefix=prayer:
+router.delete('/cache', validate({
+  query: { prefix: { type: 'string', maxLength: 200 } }
+}), async (req, res) => {
+  try {
+    const prefix = req.query.prefix || '';
+    const removed = await cache.purge(prefix);
+    await audit('cache.purge', req, { prefix, removed });
+
+    res.json({
+      status: 'success',
+      message: 'Cache purged',
+      data: { prefix, removed }
+    });
+  } catch (error) {
+    console.error('Purge cache error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to purge cache'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,32 @@
 const express = require('express');
-const { admin, db } = require('../config/firebase');
+const { admin } = require('../config/firebase');
+const storage = require('../storage');
+const { passwordVerifier, CredentialError } = require('../services/passwordVerifier');
+const {
+  loginRateLimit,
+  registerRateLimit,
+  checkAccountLock,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../middleware/rateLimit');
+const { validate, rules } = require('../middleware/validate');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
+const nameRule = { type: 'string', required: true, minLength: 1, maxLength: 100 };
+
 // Register user
-router.post('/register', async (req, res) => {
+router.post('/register', registerRateLimit, validate({
+  body: {
+    email: rules.email,
+    password: rules.password,
+    name: nameRule
+  }
+}), async (req, res) => {
   try {
     const { email, password, name } = req.body;
 
-    if (!email || !password || !name) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Email, password, and name are required'
-      });
-    }
-
     // Create user in Firebase Auth
     const userRecord = await admin.auth().createUser({
       email,
@@ -24,13 +35,17 @@ router.post('/register', async (req, res) => {
     });
 
     // Save additional user data to Realtime Database
-    await db.ref('users/' + userRecord.uid).set({
+    await storage.set('users', userRecord.uid, {
       name,
       email,
       createdAt: new Date().toISOString(),
-      isAdmin: false
+      isAdmin: false,
+      roles: []
     });
 
+    // Keep a hash for the local verifier (no-op with Identity Toolkit)
+    await passwordVerifier.store(userRecord.uid, email, password);
+
     // Generate custom token for immediate login
     const token = await admin.auth().createCustomToken(userRecord.uid);
 
@@ -54,26 +69,33 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', loginRateLimit, validate({
+  body: {
+    email: rules.email,
+    password: { type: 'string', required: true, maxLength: 128 }
+  }
+}), checkAccountLock, async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
+    // The Admin SDK can't check passwords, so the verifier does it
+    // (Identity Toolkit in production, stored bcrypt hash locally)
+    const { uid } = await passwordVerifier.verify(email, password);
+    await recordLoginSuccess(email);
+    const userRecord = await admin.auth().getUser(uid);
+
+    if (userRecord.disabled) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Email and password are required'
+        code: 'USER_DISABLED',
+        message: 'Account has been disabled'
       });
     }
 
-    // Note: Firebase Admin SDK doesn't have direct password verification
-    // This endpoint would typically be handled by client-side Firebase Auth
-    // For API usage, we'll return a custom token that can be used by clients
-    const userRecord = await admin.auth().getUserByEmail(email);
     const token = await admin.auth().createCustomToken(userRecord.uid);
 
     // Get user data from database
-    const userSnapshot = await db.ref('users/' + userRecord.uid).once('value');
-    const userData = userSnapshot.val();
+    const { id, ...userData } = await storage.get('users', userRecord.uid) || {};
 
     res.json({
       status: 'success',
@@ -87,10 +109,28 @@ router.post('/login', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof CredentialError) {
+      if (error.code === 'INVALID_CREDENTIALS') await recordLoginFailure(req.body.email);
+      return res.status(error.status).json({
+        status: 'error',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    // Stored credential whose Firebase account was deleted
+    if (error.code === 'auth/user-not-found') {
+      return res.status(401).json({
+        status: 'error',
+        code: 'INVALID_CREDENTIALS',
+        message: 'Invalid credentials'
+      });
+    }
+
     console.error('Login error:', error);
-    res.status(401).json({
+    res.status(500).json({
       status: 'error',
-      message: 'Invalid credentials'
+      message: 'Login failed'
     });
   }
 });
@@ -98,8 +138,7 @@ router.post('/login', async (req, res) => {
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
+    const { id, ...userData } = await storage.get('users', req.user.uid) || {};
 
     res.json({
       status: 'success',
@@ -119,24 +158,17 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateToken, validate({ body: { name: nameRule } }), async (req, res) => {
   try {
     const { name } = req.body;
 
-    if (!name) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Name is required'
-      });
-    }
-
     // Update in Firebase Auth
     await admin.auth().updateUser(req.user.uid, {
       displayName: name
     });
 
     // Update in Realtime Database
-    await db.ref('users/' + req.user.uid).update({
+    await storage.update('users', req.user.uid, {
       name,
       updatedAt: new Date().toISOString()
     });
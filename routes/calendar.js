@@ -0,0 +1,135 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { cacheControl } = require('../middleware/cacheControl');
+const { dateRule, hijriAdjustmentRule, parseDate } = require('../middleware/prayerRules');
+const { todayIn, isoDate } = require('../services/prayerTimes');
+const { loadPreferences, preferredTimezone } = require('../services/prayerPreferences');
+const { toHijri, toGregorian, formatHijri, hijriDate, islamicEvents } = require('../services/hijri');
+
+const router = express.Router();
+
+// Hijri calendar. Signed-in users get the Hijri adjustment saved in their
+// prayer preferences unless `adjustment` is given.
+
+const GREGORIAN_YEARS = { min: 1900, max: 2100 };
+const HIJRI_YEARS = { min: 1318, max: 1524 };
+
+const hijriDateRule = {
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a Hijri date (YYYY-MM-DD)',
+  check: (hijri, { query }) => {
+    if (query.date) return 'cannot be combined with date';
+    const { year } = parseDate(hijri);
+    if (year < HIJRI_YEARS.min || year > HIJRI_YEARS.max) {
+      return `must be between ${HIJRI_YEARS.min} and ${HIJRI_YEARS.max} AH`;
+    }
+    return toGregorian(parseDate(hijri)) ? undefined : 'is not a valid Hijri date';
+  }
+};
+
+const adjustmentFor = (query, preferences) => (query.adjustment !== undefined
+  ? query.adjustment
+  : preferences.hijriAdjustment);
+
+// Convert a Gregorian `date` or a `hijri` date; defaults to today
+router.get('/convert', optionalAuth, validate({
+  query: {
+    date: {
+      ...dateRule,
+      check: (date) => {
+        const invalid = dateRule.check(date);
+        if (invalid) return invalid;
+        const { year } = parseDate(date);
+        return year < GREGORIAN_YEARS.min || year > GREGORIAN_YEARS.max
+          ? `must be between ${GREGORIAN_YEARS.min} and ${GREGORIAN_YEARS.max}`
+          : undefined;
+      }
+    },
+    hijri: hijriDateRule,
+    adjustment: hijriAdjustmentRule
+  }
+}), async (req, res) => {
+  try {
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const adjustment = adjustmentFor(req.query, preferences);
+
+    if (req.query.hijri) {
+      const hijri = parseDate(req.query.hijri);
+      return res.json({
+        status: 'success',
+        data: {
+          gregorian: isoDate(toGregorian(hijri, adjustment)),
+          hijri: formatHijri(hijri),
+          adjustment
+        }
+      });
+    }
+
+    const date = req.query.date
+      ? parseDate(req.query.date)
+      : todayIn(preferredTimezone(preferences));
+
+    res.json({
+      status: 'success',
+      data: {
+        gregorian: isoDate(date),
+        hijri: hijriDate(date, adjustment),
+        adjustment
+      }
+    });
+  } catch (error) {
+    console.error('Convert date error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to convert date'
+    });
+  }
+});
+
+// Islamic observances starting in a Gregorian year, or in a whole Hijri year
+// with calendar=hijri (defaults to the current year)
+router.get('/events', optionalAuth, cacheControl(24 * 60 * 60), validate({
+  query: {
+    calendar: { type: 'enum', values: ['gregorian', 'hijri'], default: 'gregorian' },
+    year: {
+      type: 'integer',
+      check: (year, { query }) => {
+        const range = query.calendar === 'hijri' ? HIJRI_YEARS : GREGORIAN_YEARS;
+        return year < range.min || year > range.max
+          ? `must be between ${range.min} and ${range.max}`
+          : undefined;
+      }
+    },
+    adjustment: hijriAdjustmentRule
+  }
+}), async (req, res) => {
+  try {
+    const { calendar } = req.query;
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const adjustment = adjustmentFor(req.query, preferences);
+
+    const today = todayIn(preferredTimezone(preferences));
+    const year = req.query.year
+      || (calendar === 'hijri' ? toHijri(today, adjustment).year : today.year);
+
+    res.json({
+      status: 'success',
+      data: {
+        calendar,
+        year,
+        adjustment,
+        events: islamicEvents({ year, calendar, adjustment })
+      }
+    });
+  } catch (error) {
+    console.error('Get Islamic events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to list Islamic events'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { PLATFORMS, registerDevice, listDevices, removeDevice } = require('../services/devices');
+
+const router = express.Router();
+
+// Push device tokens for prayer reminders
+router.use(authenticateToken);
+
+// Register (or refresh) this device's push token
+router.post('/', validate({
+  body: {
+    token: { type: 'string', required: true, minLength: 1, maxLength: 4096 },
+    platform: { type: 'enum', required: true, values: PLATFORMS }
+  }
+}), async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    const device = await registerDevice(req.user.uid, token, platform);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Device registered',
+      data: device
+    });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to register device'
+    });
+  }
+});
+
+// List the user's devices
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await listDevices(req.user.uid)
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch devices'
+    });
+  }
+});
+
+// Unregister a device
+router.delete('/:id', validate({
+  params: { id: { type: 'string', required: true, pattern: /^[a-f0-9]{32}$/, patternMessage: 'is not a device id' } }
+}), async (req, res) => {
+  try {
+    const removed = await removeDevice(req.user.uid, req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Device removed'
+    });
+  } catch (error) {
+    console.error('Remove device error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove device'
+    });
+  }
+});
+
+module.exports = router;
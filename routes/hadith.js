@@ -1,22 +1,28 @@
 const express = require('express');
-const { db } = require('../config/firebase');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const storage = require('../storage');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
 
 const router = express.Router();
 
+const hadithFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  text: { type: 'string', minLength: 1, maxLength: 10000 },
+  reference: { type: 'string', minLength: 1, maxLength: 200 },
+  category: { type: 'string', minLength: 1, maxLength: 50 }
+};
+
 // Get all hadith with pagination
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: { page: rules.page, limit: rules.limit(10) }
+}), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const { page: pageNum, limit: limitNum } = req.query;
     const offset = (pageNum - 1) * limitNum;
 
-    const snapshot = await db.ref('hadith')
-      .orderByChild('createdAt')
-      .once('value');
+    const hadiths = await storage.list('hadith', { orderBy: 'createdAt' });
 
-    if (!snapshot.exists()) {
+    if (!hadiths.length) {
       return res.json({
         status: 'success',
         data: {
@@ -31,14 +37,6 @@ router.get('/', optionalAuth, async (req, res) => {
       });
     }
 
-    const hadiths = [];
-    snapshot.forEach((childSnapshot) => {
-      hadiths.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
-    });
-
     // Reverse to get newest first and apply pagination
     const reversedHadiths = hadiths.reverse();
     const paginatedHadiths = reversedHadiths.slice(offset, offset + limitNum);
@@ -67,26 +65,18 @@ router.get('/', optionalAuth, async (req, res) => {
 // Get hadith of the day
 router.get('/daily', optionalAuth, async (req, res) => {
   try {
-    const snapshot = await db.ref('hadith')
-      .orderByChild('createdAt')
-      .limitToLast(1)
-      .once('value');
+    const [hadith] = await storage.list('hadith', {
+      orderBy: 'createdAt',
+      limitToLast: 1
+    });
 
-    if (!snapshot.exists()) {
+    if (!hadith) {
       return res.status(404).json({
         status: 'error',
         message: 'No hadith available'
       });
     }
 
-    let hadith = null;
-    snapshot.forEach((childSnapshot) => {
-      hadith = {
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      };
-    });
-
     res.json({
       status: 'success',
       data: hadith
@@ -103,23 +93,15 @@ router.get('/daily', optionalAuth, async (req, res) => {
 // Get random hadith
 router.get('/random', optionalAuth, async (req, res) => {
   try {
-    const snapshot = await db.ref('hadith').once('value');
+    const hadiths = await storage.list('hadith');
 
-    if (!snapshot.exists()) {
+    if (!hadiths.length) {
       return res.status(404).json({
         status: 'error',
         message: 'No hadith available'
       });
     }
 
-    const hadiths = [];
-    snapshot.forEach((childSnapshot) => {
-      hadiths.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
-    });
-
     const randomHadith = hadiths[Math.floor(Math.random() * hadiths.length)];
 
     res.json({
@@ -136,13 +118,13 @@ router.get('/random', optionalAuth, async (req, res) => {
 });
 
 // Get single hadith by ID
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, validate({ params: { id: rules.id } }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const snapshot = await db.ref('hadith/' + id).once('value');
-    
-    if (!snapshot.exists()) {
+    const hadith = await storage.get('hadith', id);
+
+    if (!hadith) {
       return res.status(404).json({
         status: 'error',
         message: 'Hadith not found'
@@ -151,10 +133,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     res.json({
       status: 'success',
-      data: {
-        id,
-        ...snapshot.val()
-      }
+      data: hadith
     });
   } catch (error) {
     console.error('Get hadith error:', error);
@@ -165,28 +144,17 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Add new hadith (Admin only)
-router.post('/', authenticateToken, async (req, res) => {
+// Add new hadith (Editors)
+router.post('/', authenticateToken, requireRole('editor'), validate({
+  body: {
+    title: { ...hadithFields.title, required: true },
+    text: { ...hadithFields.text, required: true },
+    reference: { ...hadithFields.reference, required: true },
+    category: { ...hadithFields.category, default: 'general' }
+  }
+}), async (req, res) => {
   try {
-    const { title, text, reference, category = 'general' } = req.body;
-
-    if (!title || !text || !reference) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Title, text, and reference are required'
-      });
-    }
-
-    // Check if user is admin
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
-
-    if (!userData || !userData.isAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
+    const { title, text, reference, category } = req.body;
 
     const hadithData = {
       title,
@@ -197,13 +165,13 @@ router.post('/', authenticateToken, async (req, res) => {
       createdBy: req.user.uid
     };
 
-    const newHadithRef = await db.ref('hadith').push(hadithData);
+    const hadithId = await storage.push('hadith', hadithData);
 
     res.status(201).json({
       status: 'success',
       message: 'Hadith added successfully',
       data: {
-        id: newHadithRef.key,
+        id: hadithId,
         ...hadithData
       }
     });
@@ -216,32 +184,24 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Update hadith (Admin only)
-router.put('/:id', authenticateToken, async (req, res) => {
+// Update hadith (Editors)
+router.put('/:id', authenticateToken, requireRole('editor'), validate({
+  params: { id: rules.id },
+  body: hadithFields
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, text, reference, category } = req.body;
 
     // Check if hadith exists
-    const hadithSnapshot = await db.ref('hadith/' + id).once('value');
-    if (!hadithSnapshot.exists()) {
+    const hadith = await storage.get('hadith', id);
+    if (!hadith) {
       return res.status(404).json({
         status: 'error',
         message: 'Hadith not found'
       });
     }
 
-    // Check if user is admin
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
-
-    if (!userData || !userData.isAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
-
     const updateData = {
       updatedAt: new Date().toISOString(),
       updatedBy: req.user.uid
@@ -252,7 +212,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (reference) updateData.reference = reference;
     if (category) updateData.category = category;
 
-    await db.ref('hadith/' + id).update(updateData);
+    await storage.update('hadith', id, updateData);
 
     res.json({
       status: 'success',
@@ -268,32 +228,23 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete hadith (Admin only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Delete hadith (Editors and moderators)
+router.delete('/:id', authenticateToken, requireRole('editor', 'moderator'), validate({
+  params: { id: rules.id }
+}), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if hadith exists
-    const hadithSnapshot = await db.ref('hadith/' + id).once('value');
-    if (!hadithSnapshot.exists()) {
+    const hadith = await storage.get('hadith', id);
+    if (!hadith) {
       return res.status(404).json({
         status: 'error',
         message: 'Hadith not found'
       });
     }
 
-    // Check if user is admin
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
-
-    if (!userData || !userData.isAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
-
-    await db.ref('hadith/' + id).remove();
+    await storage.remove('hadith', id);
 
     res.json({
       status: 'success',
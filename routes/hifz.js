@@ -0,0 +1,407 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { dateRule } = require('../middleware/prayerRules');
+const { surahRule } = require('../middleware/quranRules');
+const { ayahCount } = require('../config/quranMeta');
+const storage = require('../storage');
+const { userToday } = require('../services/prayerPreferences');
+const hifz = require('../services/hifz');
+
+const router = express.Router();
+
+// Hifz tracker, mounted at /quran/hifz: memorized portions, revisions and the
+// daily revision queue for students; class codes and student progress for
+// teachers. "Today" follows the timezone in the user's prayer preferences.
+router.use(authenticateToken);
+
+const RECENT_REVISIONS = 20;
+
+// Ayah of the surah in the body; toAyah can't come before fromAyah
+const bodyAyahRule = (check) => ({
+  type: 'integer',
+  required: true,
+  min: 1,
+  check: (ayah, { body }) => {
+    if (ayah > ayahCount(body.surah)) return `must be at most ${ayahCount(body.surah)} for surah ${body.surah}`;
+    return check ? check(ayah, body) : undefined;
+  }
+});
+
+const futureDate = (res) => res.status(400).json({
+  status: 'error',
+  message: 'Dates cannot be in the future'
+});
+
+// The name teachers and students see for a user: the profile name, never
+// the email, which stays private between them
+async function displayName(uid) {
+  const profile = await storage.get('users', uid);
+  return (profile && profile.name) || null;
+}
+
+// Memorized ayahs, due and weak portions, recent revision
+router.get('/summary', async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: await hifz.hifzSummary(req.user.uid, today)
+    });
+  } catch (error) {
+    console.error('Get hifz summary error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch hifz summary'
+    });
+  }
+});
+
+// Today's revision: due and overdue portions, weakest first among equals
+router.get('/queue', validate({
+  query: { limit: rules.limit(20) }
+}), async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: await hifz.revisionQueue(req.user.uid, today, req.query.limit)
+    });
+  } catch (error) {
+    console.error('Get revision queue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch revision queue'
+    });
+  }
+});
+
+// Memorized portions in mushaf order, optionally within one surah
+router.get('/portions', validate({
+  query: { surah: { ...surahRule, required: false } }
+}), async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+
+    res.json({
+      status: 'success',
+      data: await hifz.listPortions(req.user.uid, today, req.query.surah)
+    });
+  } catch (error) {
+    console.error('Get hifz portions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch memorized portions'
+    });
+  }
+});
+
+// Record a memorized range of one surah (memorizedOn defaults to today)
+router.post('/portions', validate({
+  body: {
+    surah: surahRule,
+    fromAyah: bodyAyahRule(),
+    toAyah: bodyAyahRule((toAyah, body) => (toAyah < body.fromAyah ? 'must not be before fromAyah' : undefined)),
+    memorizedOn: dateRule
+  }
+}), async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+    const memorizedOn = req.body.memorizedOn || today;
+    if (memorizedOn > today) return futureDate(res);
+
+    const { surah, fromAyah, toAyah } = req.body;
+    const portion = await hifz.addPortion(req.user.uid, { surah, fromAyah, toAyah, memorizedOn }, today);
+    if (portion === 'overlap') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Part of that range is already recorded as memorized'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Portion recorded',
+      data: portion
+    });
+  } catch (error) {
+    console.error('Add hifz portion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to record memorized portion'
+    });
+  }
+});
+
+// Remove a portion and its revisions
+router.delete('/portions/:id', validate({ params: { id: rules.id } }), async (req, res) => {
+  try {
+    if (!await hifz.removePortion(req.user.uid, req.params.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Portion not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Portion removed'
+    });
+  } catch (error) {
+    console.error('Remove hifz portion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove memorized portion'
+    });
+  }
+});
+
+// Log a revision with a self-rated quality: 0 forgotten, 3 recalled with
+// effort, 5 perfect. Below 3 the portion comes back the next day.
+router.post('/portions/:id/revisions', validate({
+  params: { id: rules.id },
+  body: {
+    quality: { type: 'integer', required: true, min: 0, max: 5 },
+    date: dateRule,
+    mistakes: { type: 'integer', min: 0, max: 1000 },
+    durationMinutes: { type: 'integer', min: 1, max: 600 },
+    notes: { type: 'string', maxLength: 1000, default: '' }
+  }
+}), async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+    const date = req.body.date || today;
+    if (date > today) return futureDate(res);
+
+    const { quality, mistakes = null, durationMinutes = null, notes } = req.body;
+    const result = await hifz.logRevision(
+      req.user.uid,
+      req.params.id,
+      { quality, date, mistakes, durationMinutes, notes },
+      today
+    );
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Portion not found'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Revision logged',
+      data: result
+    });
+  } catch (error) {
+    console.error('Log revision error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log revision'
+    });
+  }
+});
+
+// Revision history, newest first, optionally of one portion
+router.get('/revisions', validate({
+  query: {
+    portionId: { ...rules.id, required: false },
+    limit: rules.limit(50, 500)
+  }
+}), async (req, res) => {
+  try {
+    const { portionId, limit } = req.query;
+
+    res.json({
+      status: 'success',
+      data: await hifz.listRevisions(req.user.uid, { portionId, limit })
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// Join a teacher's class with the code they shared
+router.post('/teachers', validate({
+  body: { code: { type: 'string', required: true, pattern: /^[a-f0-9]{10}$/i, patternMessage: 'is not a valid class code' } }
+}), async (req, res) => {
+  try {
+    const link = await hifz.joinClass(req.user.uid, await displayName(req.user.uid), req.body.code);
+    if (link === 'invalid') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Class code not found or expired'
+      });
+    }
+    if (link === 'self') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Teachers cannot join their own class'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Joined class',
+      data: { teacherId: link.teacherId, teacherName: link.teacherName, joinedAt: link.joinedAt }
+    });
+  } catch (error) {
+    console.error('Join class error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to join class'
+    });
+  }
+});
+
+// Teachers who can see this student's progress
+router.get('/teachers', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await hifz.listTeachers(req.user.uid)
+    });
+  } catch (error) {
+    console.error('Get teachers error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch teachers'
+    });
+  }
+});
+
+// Leave a teacher's class
+router.delete('/teachers/:teacherId', validate({ params: { teacherId: rules.id } }), async (req, res) => {
+  try {
+    if (!await hifz.removeLink(req.params.teacherId, req.user.uid)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Not in that teacher\'s class'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Left class'
+    });
+  } catch (error) {
+    console.error('Leave class error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to leave class'
+    });
+  }
+});
+
+// New class code for students to join with (Teachers); the old one stops working
+router.post('/class-code', requireRole('teacher'), async (req, res) => {
+  try {
+    res.status(201).json({
+      status: 'success',
+      message: 'Class code created',
+      data: await hifz.createClassCode(req.user.uid, await displayName(req.user.uid))
+    });
+  } catch (error) {
+    console.error('Create class code error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create class code'
+    });
+  }
+});
+
+// Students in the teacher's class with their progress (Teachers)
+router.get('/students', requireRole('teacher'), async (req, res) => {
+  try {
+    const links = await hifz.listStudents(req.user.uid);
+    const students = await Promise.all(links.map(async ({ studentId, studentName, joinedAt }) => ({
+      studentId,
+      studentName,
+      joinedAt,
+      summary: await hifz.hifzSummary(studentId, await userToday(studentId))
+    })));
+
+    res.json({
+      status: 'success',
+      data: students
+    });
+  } catch (error) {
+    console.error('Get students error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch students'
+    });
+  }
+});
+
+// One student's portions, queue and recent revisions (Teachers)
+router.get('/students/:uid', requireRole('teacher'), validate({ params: { uid: rules.id } }), async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    const link = await hifz.getLink(req.user.uid, uid);
+    if (!link) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found in your class'
+      });
+    }
+
+    const today = await userToday(uid);
+    const [summary, queue, portions, revisions] = await Promise.all([
+      hifz.hifzSummary(uid, today),
+      hifz.revisionQueue(uid, today, RECENT_REVISIONS),
+      hifz.listPortions(uid, today),
+      hifz.listRevisions(uid, { limit: RECENT_REVISIONS })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        studentId: uid,
+        studentName: link.studentName,
+        joinedAt: link.joinedAt,
+        summary,
+        queue,
+        portions,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Get student error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch student progress'
+    });
+  }
+});
+
+// Remove a student from the class (Teachers)
+router.delete('/students/:uid', requireRole('teacher'), validate({ params: { uid: rules.id } }), async (req, res) => {
+  try {
+    if (!await hifz.removeLink(req.user.uid, req.params.uid)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found in your class'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Student removed from class'
+    });
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove student'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { db, run, get } = require('../config/sqlite');
+const { SALT_ROUNDS } = require('../config/app');
+const { authenticateUnverified } = require('../middleware/auth');
+const storage = require('../storage');
+const tokens = require('../services/tokens');
+const accountEmails = require('../services/accountEmails');
+const { consumeOneTimeToken } = require('../services/oneTimeTokens');
+const {
+  loginRateLimit,
+  registerRateLimit,
+  checkAccountLock,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../middleware/rateLimit');
+const { validate, rules } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Register
+const registerSchema = {
+  body: {
+    email: rules.email,
+    password: rules.password,
+    name: { type: 'string', maxLength: 100 }
+  }
+};
+
+router.post('/register', registerRateLimit, validate(registerSchema), async (req, res) => {
+  try {
+    // email arrives trimmed and lowercased from the schema
+    const { email: normalizedEmail, password, name } = req.body;
+
+    // check if exists
+    db.get('SELECT id FROM users WHERE email = ?', [normalizedEmail], async (err, row) => {
+      if (err) {
+        console.error('DB error', err);
+        return res.status(500).json({ status: 'error', message: 'Database error' });
+      }
+      if (row) {
+        return res.status(400).json({ status: 'error', message: 'Email already registered' });
+      }
+
+      // hash password
+      const hash = await bcrypt.hash(password, SALT_ROUNDS);
+      const id = uuidv4();
+      const createdAt = new Date().toISOString();
+
+      db.run(
+        'INSERT INTO users (id, email, password, name, created_at) VALUES (?, ?, ?, ?, ?)',
+        [id, normalizedEmail, hash, name || null, createdAt],
+        async function (insertErr) {
+          if (insertErr) {
+            console.error('Insert error', insertErr);
+            return res.status(500).json({ status: 'error', message: 'Failed to create user' });
+          }
+
+          // Profile record used by the content routes (same shape as the Firebase register)
+          try {
+            await storage.set('users', id, {
+              name: name || null,
+              email: normalizedEmail,
+              createdAt,
+              isAdmin: false,
+              roles: []
+            });
+          } catch (profileErr) {
+            console.error('Profile create error', profileErr);
+            return res.status(500).json({ status: 'error', message: 'Failed to create user' });
+          }
+
+          // Don't fail the registration if the mail can't go out; the user can resend
+          accountEmails.sendVerificationEmail({ id, email: normalizedEmail, name }).catch((mailErr) => {
+            console.error('Verification mail error', mailErr);
+          });
+
+          try {
+            const session = await tokens.issueTokens({ id, email: normalizedEmail });
+            return res.json({
+              status: 'success',
+              message: 'User registered',
+              user: { id, email: normalizedEmail, name: name || null, email_verified: false, created_at: createdAt },
+              ...session
+            });
+          } catch (tokenErr) {
+            console.error('Token error', tokenErr);
+            return res.status(500).json({ status: 'error', message: 'Server error' });
+          }
+        }
+      );
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Login
+const loginSchema = {
+  body: {
+    email: rules.email,
+    // Strength rules only apply when setting a password
+    password: { type: 'string', required: true, maxLength: 128 }
+  }
+};
+
+router.post('/login', loginRateLimit, validate(loginSchema), checkAccountLock, (req, res) => {
+  try {
+    const { email: normalizedEmail, password } = req.body;
+
+    db.get('SELECT id, email, password, name, email_verified, created_at FROM users WHERE email = ?', [normalizedEmail], async (err, user) => {
+      if (err) {
+        console.error('DB error', err);
+        return res.status(500).json({ status: 'error', message: 'Database error' });
+      }
+      if (!user) {
+        await recordLoginFailure(normalizedEmail);
+        return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+      }
+
+      const match = await bcrypt.compare(password, user.password);
+      if (!match) {
+        await recordLoginFailure(normalizedEmail);
+        return res.status(401).json({ status: 'error', message: 'Invalid credentials' });
+      }
+      await recordLoginSuccess(normalizedEmail);
+
+      try {
+        const session = await tokens.issueTokens(user);
+        return res.json({
+          status: 'success',
+          message: 'Login successful',
+          user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            email_verified: Boolean(user.email_verified),
+            created_at: user.created_at
+          },
+          ...session
+        });
+      } catch (tokenErr) {
+        console.error('Token error', tokenErr);
+        return res.status(500).json({ status: 'error', message: 'Server error' });
+      }
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Protected route example
+router.get('/me', authenticateUnverified, (req, res) => {
+  const id = req.user.id;
+  db.get('SELECT id, email, name, email_verified, created_at FROM users WHERE id = ?', [id], (err, user) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+    if (!user) return res.status(404).json({ status: 'error', message: 'User not found' });
+    res.json({ status: 'success', user: { ...user, email_verified: Boolean(user.email_verified) } });
+  });
+});
+
+// Exchange a refresh token for a new access/refresh pair (the old one stops working)
+const refreshSchema = {
+  body: {
+    refreshToken: { type: 'string', required: true, maxLength: 256 }
+  }
+};
+
+router.post('/token/refresh', validate(refreshSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { userId, ...session } = await tokens.rotateRefreshToken(refreshToken);
+    return res.json({ status: 'success', message: 'Token refreshed', ...session });
+  } catch (e) {
+    if (e instanceof tokens.TokenError) {
+      return res.status(401).json({ status: 'error', message: e.message });
+    }
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Logout this device: revoke the access token and its refresh token
+const logoutSchema = {
+  body: {
+    refreshToken: { type: 'string', maxLength: 256 }
+  }
+};
+
+router.post('/logout', authenticateUnverified, validate(logoutSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    await tokens.revokeAccessToken(req.user);
+    if (refreshToken) await tokens.revokeRefreshToken(refreshToken, req.user.id);
+
+    return res.json({ status: 'success', message: 'Logged out' });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Logout all devices: every token issued so far stops working
+router.post('/logout/all', authenticateUnverified, async (req, res) => {
+  try {
+    await tokens.revokeAllForUser(req.user.id);
+    return res.json({ status: 'success', message: 'Logged out from all devices' });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Forgot password: email a single-use reset link.
+// Same answer whether or not the account exists, so emails can't be probed.
+router.post('/password/forgot', validate({ body: { email: rules.email } }), async (req, res) => {
+  try {
+    const user = await get('SELECT id, email, name FROM users WHERE email = ?', [req.body.email]);
+    if (user) await accountEmails.sendPasswordResetEmail(user);
+
+    return res.json({
+      status: 'success',
+      message: 'If that email is registered, a reset link has been sent'
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Reset password with the emailed token; signs out every existing session
+const tokenRule = { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/i, patternMessage: 'is not a valid token' };
+
+const resetSchema = {
+  body: {
+    token: tokenRule,
+    password: rules.password
+  }
+};
+
+router.post('/password/reset', validate(resetSchema), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeOneTimeToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ status: 'error', message: 'Invalid or expired reset token' });
+    }
+
+    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+    await run('UPDATE users SET password = ? WHERE id = ?', [hash, userId]);
+    await tokens.revokeAllForUser(userId);
+
+    return res.json({ status: 'success', message: 'Password has been reset, please log in again' });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+// Confirm email with the emailed token (POST from the app, GET from the mail link)
+async function verifyEmail(req, res) {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+    const userId = await consumeOneTimeToken(token, 'email_verify');
+    if (!userId) {
+      return res.status(400).json({ status: 'error', message: 'Invalid or expired verification token' });
+    }
+
+    await accountEmails.markEmailVerified(userId);
+    return res.json({ status: 'success', message: 'Email verified' });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+}
+
+router.post('/email/verify', validate({ body: { token: tokenRule } }), verifyEmail);
+router.get('/email/verify', validate({ query: { token: tokenRule } }), verifyEmail);
+
+// Send a fresh verification link
+router.post('/email/verify/resend', authenticateUnverified, async (req, res) => {
+  try {
+    const user = await get('SELECT id, email, name, email_verified FROM users WHERE id = ?', [req.user.id]);
+    if (!user) return res.status(404).json({ status: 'error', message: 'User not found' });
+    if (user.email_verified) {
+      return res.status(400).json({ status: 'error', message: 'Email already verified' });
+    }
+
+    await accountEmails.sendVerificationEmail(user);
+    return res.json({ status: 'success', message: 'Verification email sent' });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+});
+
+module.exports = router;
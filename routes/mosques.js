@@ -0,0 +1,275 @@
+const express = require('express');
+const storage = require('../storage');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { cacheControl } = require('../middleware/cacheControl');
+const {
+  methodRule,
+  placeRule,
+  schoolRule,
+  latitudeAdjustmentRule,
+  dateRule,
+  timezoneRule,
+  parseDate
+} = require('../middleware/prayerRules');
+const { todayIn } = require('../services/prayerTimes');
+const { scheduleError, jumuahError, overridesError, mosqueTimes } = require('../services/jamaat');
+
+const router = express.Router();
+
+const mosqueFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  address: { type: 'string', maxLength: 500 },
+  city: placeRule,
+  country: placeRule,
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 },
+  timezone: timezoneRule,
+  method: methodRule,
+  school: schoolRule,
+  highLatitudeRule: latitudeAdjustmentRule,
+  jamaat: { type: 'object', check: scheduleError },
+  jumuah: { type: 'array', maxLength: 10, check: jumuahError },
+  overrides: { type: 'array', maxLength: 50, check: overridesError }
+};
+
+async function findMosque(res, id) {
+  const mosque = await storage.get('mosques', id);
+  if (!mosque) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Mosque not found'
+    });
+  }
+  return mosque;
+}
+
+// List mosques, optionally in one city
+router.get('/', optionalAuth, validate({
+  query: { page: rules.page, limit: rules.limit(20), city: placeRule }
+}), async (req, res) => {
+  try {
+    const { page: pageNum, limit: limitNum, city } = req.query;
+    const offset = (pageNum - 1) * limitNum;
+
+    const mosques = await storage.list('mosques', {
+      orderBy: 'name',
+      where: city ? { city } : undefined
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        mosques: mosques.slice(offset, offset + limitNum),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: mosques.length,
+          pages: Math.ceil(mosques.length / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get mosques error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch mosques'
+    });
+  }
+});
+
+// Get single mosque with its jamaat schedule
+router.get('/:id', optionalAuth, validate({ params: { id: rules.id } }), async (req, res) => {
+  try {
+    const mosque = await findMosque(res, req.params.id);
+    if (!mosque) return;
+
+    res.json({
+      status: 'success',
+      data: mosque
+    });
+  } catch (error) {
+    console.error('Get mosque error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch mosque'
+    });
+  }
+});
+
+// Adhan vs jamaat for one day (today in the mosque's timezone by default)
+router.get('/:id/times', optionalAuth, cacheControl(60 * 60), validate({
+  params: { id: rules.id },
+  query: { date: dateRule }
+}), async (req, res) => {
+  try {
+    const mosque = await findMosque(res, req.params.id);
+    if (!mosque) return;
+
+    const date = req.query.date ? parseDate(req.query.date) : todayIn(mosque.timezone);
+
+    res.json({
+      status: 'success',
+      data: {
+        mosque: { id: mosque.id, name: mosque.name },
+        ...mosqueTimes(mosque, date)
+      }
+    });
+  } catch (error) {
+    console.error('Get mosque times error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch mosque prayer times'
+    });
+  }
+});
+
+// Adhan vs jamaat for a whole month (current month by default)
+router.get('/:id/timetable', optionalAuth, cacheControl(24 * 60 * 60), validate({
+  params: { id: rules.id },
+  query: {
+    month: { type: 'integer', min: 1, max: 12 },
+    year: { type: 'integer', min: 1900, max: 2100 }
+  }
+}), async (req, res) => {
+  try {
+    const mosque = await findMosque(res, req.params.id);
+    if (!mosque) return;
+
+    const today = todayIn(mosque.timezone);
+    const year = req.query.year || today.year;
+    const month = req.query.month || today.month;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      days.push(mosqueTimes(mosque, { year, month, day }));
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        mosque: { id: mosque.id, name: mosque.name },
+        year,
+        month,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Get mosque timetable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch mosque timetable'
+    });
+  }
+});
+
+// Add new mosque (Editors)
+router.post('/', authenticateToken, requireRole('editor'), validate({
+  body: {
+    ...mosqueFields,
+    name: { ...mosqueFields.name, required: true },
+    address: { ...mosqueFields.address, default: '' },
+    city: { ...placeRule, default: '' },
+    country: { ...placeRule, default: '' },
+    latitude: { ...mosqueFields.latitude, required: true },
+    longitude: { ...mosqueFields.longitude, required: true },
+    timezone: { ...timezoneRule, required: true },
+    method: { ...methodRule, default: 2 },
+    school: { ...schoolRule, default: 'shafi' },
+    highLatitudeRule: { ...latitudeAdjustmentRule, default: 'middle-of-night' },
+    jamaat: { ...mosqueFields.jamaat, default: {} },
+    jumuah: { ...mosqueFields.jumuah, default: [] },
+    overrides: { ...mosqueFields.overrides, default: [] }
+  }
+}), async (req, res) => {
+  try {
+    const mosqueData = {};
+    Object.keys(mosqueFields).forEach((field) => {
+      mosqueData[field] = req.body[field];
+    });
+    mosqueData.createdAt = new Date().toISOString();
+    mosqueData.createdBy = req.user.uid;
+
+    const mosqueId = await storage.push('mosques', mosqueData);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Mosque added successfully',
+      data: {
+        id: mosqueId,
+        ...mosqueData
+      }
+    });
+  } catch (error) {
+    console.error('Add mosque error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add mosque'
+    });
+  }
+});
+
+// Update mosque details or jamaat schedule (Editors). jamaat, jumuah and
+// overrides are replaced as a whole when given.
+router.put('/:id', authenticateToken, requireRole('editor'), validate({
+  params: { id: rules.id },
+  body: mosqueFields
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const mosque = await findMosque(res, id);
+    if (!mosque) return;
+
+    const updateData = {
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    };
+
+    Object.keys(mosqueFields).forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await storage.update('mosques', id, updateData);
+
+    res.json({
+      status: 'success',
+      message: 'Mosque updated successfully',
+      data: { ...mosque, ...updateData }
+    });
+  } catch (error) {
+    console.error('Update mosque error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update mosque'
+    });
+  }
+});
+
+// Delete mosque (Editors and moderators)
+router.delete('/:id', authenticateToken, requireRole('editor', 'moderator'), validate({
+  params: { id: rules.id }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const mosque = await findMosque(res, id);
+    if (!mosque) return;
+
+    await storage.remove('mosques', id);
+
+    res.json({
+      status: 'success',
+      message: 'Mosque deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete mosque error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete mosque'
+    });
+  }
+});
+
+module.exports = router;
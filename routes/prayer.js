@@ -1,44 +1,315 @@
 const express = require('express');
 const axios = require('axios');
-const { db } = require('../config/firebase');
+const storage = require('../storage');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { cacheControl } = require('../middleware/cacheControl');
+const { cache, CACHE_TTLS } = require('../services/cache');
+const { resolveCity, searchCities, findById } = require('../services/gazetteer');
+const {
+  METHODS,
+  calculatePrayerTimes,
+  calculateTimetable,
+  todayIn,
+  isoDate,
+  readableDate
+} = require('../services/prayerTimes');
+const {
+  methodRule,
+  placeRule,
+  schoolRule,
+  latitudeAdjustmentRule,
+  dateRule,
+  timezoneRule,
+  hijriAdjustmentRule,
+  parseDate
+} = require('../middleware/prayerRules');
+const { toCsv, toIcs, toPdf } = require('../services/timetableExport');
+const { qibla } = require('../services/qibla');
+const { hijriDate, UMM_AL_QURA_FIRST_YEAR, UMM_AL_QURA_LAST_YEAR } = require('../services/hijri');
+const { ramadanDays, ramadanFor, currentRamadan } = require('../services/ramadan');
+const {
+  REMINDER_PRAYERS,
+  MAX_REMINDER_MINUTES,
+  DEFAULT_PREFERENCES,
+  normalizeNotifications,
+  loadPreferences,
+  calculationSettings,
+  reminderIssue
+} = require('../services/prayerPreferences');
 
 const router = express.Router();
 
-// Get prayer times by location
-router.get('/times', optionalAuth, async (req, res) => {
+// City lookups outside the bundled list go to Aladhan unless disabled
+const PRAYER_REMOTE_FALLBACK = process.env.PRAYER_REMOTE_FALLBACK !== 'false';
+
+// Aladhan timings for a date. The date is part of the cache key and the
+// upstream URL, so a cached day is never served for the next one.
+async function fetchTimings(res, endpoint, date, params) {
+  const day = [date.day, date.month, date.year]
+    .map((n) => String(n).padStart(2, '0'))
+    .join('-');
+  const key = `prayer:${endpoint}:${day}:${Object.keys(params).sort()
+    .map((name) => `${name}=${String(params[name]).toLowerCase()}`)
+    .join('&')}`;
+
+  const { value, hit } = await cache.wrap(key, CACHE_TTLS.prayerTimes, async () => {
+    const response = await axios.get(`https://api.aladhan.com/v1/${endpoint}/${day}`, { params });
+    if (response.data.code !== 200) {
+      throw new Error('Failed to fetch prayer times');
+    }
+    return response.data.data;
+  });
+
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+  return value;
+}
+
+// Minutes added to each calculated time
+const OFFSET_PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const MAX_OFFSET_MINUTES = 60;
+const offsetsRule = {
+  type: 'object',
+  check: (offsets) => {
+    const invalid = Object.keys(offsets).find((name) => !OFFSET_PRAYERS.includes(name));
+    if (invalid) return `has unknown prayer "${invalid}" (expected: ${OFFSET_PRAYERS.join(', ')})`;
+
+    const outOfRange = OFFSET_PRAYERS.find((name) => offsets[name] !== undefined
+      && (!Number.isInteger(offsets[name]) || Math.abs(offsets[name]) > MAX_OFFSET_MINUTES));
+    return outOfRange
+      ? `${outOfRange} must be whole minutes between -${MAX_OFFSET_MINUTES} and ${MAX_OFFSET_MINUTES}`
+      : undefined;
+  }
+};
+
+// Minutes before Fajr that suhoor ends
+const imsakRule = { type: 'integer', min: 0, max: 60 };
+
+// { minutesBefore, prayers: { fajr: true, ... } }
+const notificationsRule = {
+  type: 'object',
+  check: (notifications) => {
+    const unknown = Object.keys(notifications).find((key) => !['minutesBefore', 'prayers'].includes(key));
+    if (unknown) return `has unknown setting "${unknown}" (expected: minutesBefore, prayers)`;
+
+    const { minutesBefore, prayers } = notifications;
+    if (minutesBefore !== undefined
+      && (!Number.isInteger(minutesBefore) || minutesBefore < 0 || minutesBefore > MAX_REMINDER_MINUTES)) {
+      return `minutesBefore must be whole minutes between 0 and ${MAX_REMINDER_MINUTES}`;
+    }
+    if (prayers === undefined) return undefined;
+    if (!prayers || typeof prayers !== 'object' || Array.isArray(prayers)) return 'prayers must be an object';
+
+    const invalid = Object.keys(prayers).find((name) => !REMINDER_PRAYERS.includes(name)
+      || typeof prayers[name] !== 'boolean');
+    return invalid
+      ? `prayers.${invalid} must be true or false (prayers: ${REMINDER_PRAYERS.join(', ')})`
+      : undefined;
+  }
+};
+
+// `hijriAdjustment` is the user's moon-sighting correction in days
+function formatTimes(date, times, { location, hijriAdjustment = 0 } = {}) {
+  return {
+    date: readableDate(date),
+    hijri: hijriDate(date, hijriAdjustment),
+    fajr: times.fajr,
+    sunrise: times.sunrise,
+    dhuhr: times.dhuhr,
+    asr: times.asr,
+    maghrib: times.maghrib,
+    isha: times.isha,
+    location
+  };
+}
+
+// Optional latitude/longitude, accepted only as a pair
+const coordinateRules = {
+  latitude: {
+    type: 'number',
+    min: -90,
+    max: 90,
+    check: (latitude, { query }) => (query.longitude === undefined ? 'requires longitude' : undefined)
+  },
+  longitude: {
+    type: 'number',
+    min: -180,
+    max: 180,
+    check: (longitude, { query }) => (query.latitude === undefined ? 'requires latitude' : undefined)
+  }
+};
+
+// A gazetteer id from /locations/search
+const locationIdRule = {
+  type: 'string',
+  maxLength: 200,
+  check: (id) => (findById(id) ? undefined : 'is not a known location')
+};
+
+function cityPlace(city) {
+  return {
+    ...city,
+    locationId: city.id,
+    label: `${city.name}, ${city.country}`
+  };
+}
+
+// Coordinates from the query, else a gazetteer city from the query or saved
+// preferences. Without a timezone the UTC offset is estimated from the
+// longitude. Errors carry an HTTP status, and candidates when ambiguous.
+function resolvePlace(query, preferences) {
+  if (query.latitude !== undefined) {
+    const timezone = query.timezone || preferences.timezone;
+    return {
+      label: `Lat: ${query.latitude}, Long: ${query.longitude}`,
+      latitude: query.latitude,
+      longitude: query.longitude,
+      timezone: timezone || Math.round(query.longitude / 15)
+    };
+  }
+
+  if (query.locationId) return cityPlace(findById(query.locationId));
+
+  if (!query.city && preferences.locationId && findById(preferences.locationId)) {
+    return cityPlace(findById(preferences.locationId));
+  }
+
+  const city = query.city || preferences.city;
+  const country = query.city ? query.country : preferences.country;
+  if (!city) {
+    return {
+      error: {
+        status: 400,
+        message: 'Give latitude and longitude, a locationId, or a city (or save one in your prayer preferences)'
+      }
+    };
+  }
+
+  const name = country ? `${city}, ${country}` : city;
+  const { city: found, candidates } = resolveCity(city, country);
+  if (found) return cityPlace(found);
+  if (candidates) {
+    return {
+      error: {
+        status: 400,
+        message: `"${name}" matches more than one place; pass one of the candidates' locationId`,
+        candidates: candidates.map(({ alternateNames, asciiName, ...candidate }) => candidate)
+      }
+    };
+  }
+  return { error: { status: 404, message: `No coordinates known for ${name}`, city, country } };
+}
+
+function placeError(res, { status, message, candidates }) {
+  return res.status(status).json({ status: 'error', message, candidates });
+}
+
+// Aladhan's latitudeAdjustmentMethod and tune (minutes per timing) parameters
+const ALADHAN_LATITUDE_METHODS = { 'middle-of-night': 1, 'one-seventh': 2, 'angle-based': 3 };
+const ALADHAN_TUNE_ORDER = ['imsak', 'fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'sunset', 'isha', 'midnight'];
+
+// Autocomplete for cities in the offline gazetteer
+router.get('/locations/search', optionalAuth, cacheControl(24 * 60 * 60), validate({
+  query: {
+    q: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    country: placeRule,
+    limit: rules.limit(10, 50)
+  }
+}), async (req, res) => {
+  try {
+    const { q, country, limit } = req.query;
+
+    res.json({
+      status: 'success',
+      data: searchCities(q, { country, limit }).map(({ asciiName, score, ...city }) => city)
+    });
+  } catch (error) {
+    console.error('Search locations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to search locations'
+    });
+  }
+});
+
+// Get prayer times by location. Signed-in users can leave out anything saved
+// in their preferences.
+router.get('/times', optionalAuth, cacheControl(60 * 60), validate({
+  query: {
+    locationId: locationIdRule,
+    city: placeRule,
+    country: placeRule,
+    ...coordinateRules,
+    timezone: timezoneRule,
+    method: methodRule,
+    school: schoolRule,
+    highLatitudeRule: latitudeAdjustmentRule,
+    date: dateRule
+  }
+}), async (req, res) => {
   try {
-    const { city, country, method = 2 } = req.query;
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const settings = calculationSettings(req.query, preferences);
+    const place = resolvePlace(req.query, preferences);
 
-    if (!city || !country) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'City and country are required'
+    if (!place.error) {
+      const date = req.query.date ? parseDate(req.query.date) : todayIn(place.timezone);
+      const { times } = calculatePrayerTimes({
+        date,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        timezone: place.timezone,
+        ...settings
       });
-    }
 
-    // Using Aladhan API
-    const response = await axios.get(
-      `http://api.aladhan.com/v1/timingsByCity`,
-      {
-        params: {
-          city,
-          country,
-          method,
-          school: 1 // Shafi (0 for Hanafi)
+      return res.json({
+        status: 'success',
+        data: {
+          ...formatTimes(date, times, { location: place.label, hijriAdjustment: preferences.hijriAdjustment }),
+          locationId: place.locationId,
+          method: { id: settings.method, name: METHODS[settings.method].name },
+          school: settings.school,
+          timezone: place.timezone
         }
-      }
-    );
+      });
+    }
 
-    if (response.data.code !== 200) {
-      throw new Error('Failed to fetch prayer times');
+    // Cities the gazetteer doesn't know can still be resolved by Aladhan
+    const { city, country } = place.error;
+    if (place.error.status !== 404 || !PRAYER_REMOTE_FALLBACK || !country) {
+      return placeError(res, place.error);
     }
 
-    const prayerTimes = response.data.data.timings;
+    // Using Aladhan API. "Today" is the city's; when no timezone is given or
+    // saved, Aladhan's answer says which it is and the day is fetched again
+    // if it differs.
+    const knownTimezone = req.query.timezone || preferences.timezone;
+    let date = req.query.date ? parseDate(req.query.date) : todayIn(knownTimezone || 'UTC');
+    const params = {
+      city,
+      country,
+      method: settings.method,
+      school: settings.school === 'hanafi' ? 1 : 0,
+      tune: ALADHAN_TUNE_ORDER.map((name) => settings.offsets[name] || 0).join(',')
+    };
+    if (ALADHAN_LATITUDE_METHODS[settings.highLatitudeRule]) {
+      params.latitudeAdjustmentMethod = ALADHAN_LATITUDE_METHODS[settings.highLatitudeRule];
+    }
+    let timings = await fetchTimings(res, 'timingsByCity', date, params);
+    if (!req.query.date && !knownTimezone && timings.meta && timings.meta.timezone) {
+      const cityToday = todayIn(timings.meta.timezone);
+      if (cityToday.day !== date.day || cityToday.month !== date.month || cityToday.year !== date.year) {
+        date = cityToday;
+        timings = await fetchTimings(res, 'timingsByCity', date, params);
+      }
+    }
+
+    const prayerTimes = timings.timings;
 
     // Format the response
     const formattedTimes = {
-      date: response.data.data.date.readable,
+      date: timings.date.readable,
+      hijri: hijriDate(date, preferences.hijriAdjustment),
       fajr: prayerTimes.Fajr,
       sunrise: prayerTimes.Sunrise,
       dhuhr: prayerTimes.Dhuhr,
@@ -61,79 +332,311 @@ router.get('/times', optionalAuth, async (req, res) => {
   }
 });
 
-// Get prayer times by coordinates
-router.get('/times/coordinates', optionalAuth, async (req, res) => {
+// Get prayer times by coordinates. Without a timezone (query or preferences)
+// the UTC offset is estimated from the longitude, which ignores DST and
+// political borders.
+router.get('/times/coordinates', optionalAuth, cacheControl(60 * 60), validate({
+  query: {
+    latitude: { type: 'number', required: true, min: -90, max: 90 },
+    longitude: { type: 'number', required: true, min: -180, max: 180 },
+    method: methodRule,
+    school: schoolRule,
+    highLatitudeRule: latitudeAdjustmentRule,
+    timezone: timezoneRule,
+    date: dateRule
+  }
+}), async (req, res) => {
   try {
-    const { latitude, longitude, method = 2 } = req.query;
+    const { latitude, longitude } = req.query;
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const settings = calculationSettings(req.query, preferences);
+    const timezoneName = req.query.timezone || preferences.timezone;
+    const timezone = timezoneName || Math.round(longitude / 15);
+    const date = req.query.date ? parseDate(req.query.date) : todayIn(timezone);
 
-    if (!latitude || !longitude) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Latitude and longitude are required'
-      });
-    }
+    const { times, timezoneOffset } = calculatePrayerTimes({
+      date,
+      latitude,
+      longitude,
+      timezone,
+      ...settings
+    });
 
-    const response = await axios.get(
-      `http://api.aladhan.com/v1/timings`,
-      {
-        params: {
-          latitude,
-          longitude,
-          method,
-          school: 1
-        }
+    res.json({
+      status: 'success',
+      data: {
+        ...formatTimes(date, times, {
+          location: `Lat: ${latitude}, Long: ${longitude}`,
+          hijriAdjustment: preferences.hijriAdjustment
+        }),
+        method: { id: settings.method, name: METHODS[settings.method].name },
+        school: settings.school,
+        timezone: timezoneName || `UTC${timezoneOffset >= 0 ? '+' : ''}${timezoneOffset}`
       }
-    );
+    });
+  } catch (error) {
+    console.error('Get prayer times by coordinates error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch prayer times'
+    });
+  }
+});
 
-    if (response.data.code !== 200) {
-      throw new Error('Failed to fetch prayer times');
-    }
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
 
-    const prayerTimes = response.data.data.timings;
+// Timetable for a month, or a whole year when only `year` is given (defaults
+// to the current month). The location is either coordinates or a bundled city,
+// falling back to saved preferences. format=csv|pdf|ics returns a download; the
+// .ics URL works as a calendar subscription since it needs no auth header.
+router.get('/timetable', optionalAuth, cacheControl(24 * 60 * 60), validate({
+  query: {
+    month: { type: 'integer', min: 1, max: 12 },
+    year: { type: 'integer', min: 1900, max: 2100 },
+    city: placeRule,
+    country: placeRule,
+    ...coordinateRules,
+    locationId: locationIdRule,
+    timezone: timezoneRule,
+    method: methodRule,
+    school: schoolRule,
+    highLatitudeRule: latitudeAdjustmentRule,
+    format: { type: 'enum', values: ['json', 'csv', 'pdf', 'ics'], default: 'json' }
+  }
+}), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const settings = calculationSettings(req.query, preferences);
 
-    const formattedTimes = {
-      date: response.data.data.date.readable,
-      fajr: prayerTimes.Fajr,
-      sunrise: prayerTimes.Sunrise,
-      dhuhr: prayerTimes.Dhuhr,
-      asr: prayerTimes.Asr,
-      maghrib: prayerTimes.Maghrib,
-      isha: prayerTimes.Isha,
-      location: `Lat: ${latitude}, Long: ${longitude}`
+    const place = resolvePlace(req.query, preferences);
+    if (place.error) return placeError(res, place.error);
+
+    const today = todayIn(place.timezone);
+    const year = req.query.year || today.year;
+    const month = req.query.month || (req.query.year ? undefined : today.month);
+
+    const days = calculateTimetable({
+      latitude: place.latitude,
+      longitude: place.longitude,
+      timezone: place.timezone,
+      ...settings
+    }, year, month);
+
+    const timezoneLabel = typeof place.timezone === 'number'
+      ? `UTC${place.timezone >= 0 ? '+' : ''}${place.timezone}`
+      : place.timezone;
+    const period = month ? `${MONTH_NAMES[month - 1]} ${year}` : String(year);
+    const timetable = {
+      title: `Prayer times – ${place.label} – ${period}`,
+      location: place.label,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      method: { id: settings.method, name: METHODS[settings.method].name },
+      school: settings.school,
+      timezone: timezoneLabel,
+      days
     };
 
+    const filename = `prayer-times-${year}${month ? `-${String(month).padStart(2, '0')}` : ''}`;
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.type('text/csv').send(toCsv(timetable));
+    }
+    if (format === 'ics') {
+      res.set('Content-Disposition', `inline; filename="${filename}.ics"`);
+      return res.type('text/calendar').send(toIcs(timetable));
+    }
+    if (format === 'pdf') {
+      res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return res.type('application/pdf').send(await toPdf(timetable));
+    }
+
     res.json({
       status: 'success',
-      data: formattedTimes
+      data: {
+        location: timetable.location,
+        method: timetable.method,
+        school: timetable.school,
+        timezone: timetable.timezone,
+        year,
+        month: month || null,
+        days: days.map(({ date, times }) => formatTimes(date, times, { hijriAdjustment: preferences.hijriAdjustment }))
+      }
     });
   } catch (error) {
-    console.error('Get prayer times by coordinates error:', error);
+    console.error('Get prayer timetable error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to fetch prayer times'
+      message: 'Failed to build prayer timetable'
+    });
+  }
+});
+
+// Suhoor (imsak, `imsakMinutes` before Fajr) and iftar (Maghrib) for every
+// day of Ramadan. `year` is the Hijri year; by default the Ramadan under way,
+// else the next one. Dates follow the user's Hijri adjustment.
+router.get('/ramadan', optionalAuth, cacheControl(60 * 60), validate({
+  query: {
+    year: { type: 'integer', min: UMM_AL_QURA_FIRST_YEAR, max: UMM_AL_QURA_LAST_YEAR },
+    city: placeRule,
+    country: placeRule,
+    ...coordinateRules,
+    locationId: locationIdRule,
+    timezone: timezoneRule,
+    method: methodRule,
+    school: schoolRule,
+    highLatitudeRule: latitudeAdjustmentRule,
+    imsakMinutes: imsakRule
+  }
+}), async (req, res) => {
+  try {
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const settings = calculationSettings(req.query, preferences);
+    const adjustment = preferences.hijriAdjustment;
+
+    const place = resolvePlace(req.query, preferences);
+    if (place.error) return placeError(res, place.error);
+
+    const today = todayIn(place.timezone);
+    const ramadan = req.query.year
+      ? ramadanFor(req.query.year, today, adjustment)
+      : currentRamadan(today, adjustment);
+
+    const schedule = ramadanDays(ramadan.hijriYear, adjustment).map((date, i) => {
+      const { times } = calculatePrayerTimes({
+        date,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        timezone: place.timezone,
+        ...settings
+      });
+      return {
+        day: i + 1,
+        date: isoDate(date),
+        readable: readableDate(date),
+        hijri: hijriDate(date, adjustment),
+        suhoor: times.imsak,
+        fajr: times.fajr,
+        iftar: times.maghrib,
+        isha: times.isha
+      };
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        ...ramadan,
+        location: place.label,
+        locationId: place.locationId,
+        method: { id: settings.method, name: METHODS[settings.method].name },
+        school: settings.school,
+        timezone: typeof place.timezone === 'number'
+          ? `UTC${place.timezone >= 0 ? '+' : ''}${place.timezone}`
+          : place.timezone,
+        imsakMinutes: settings.imsakMinutes,
+        schedule
+      }
+    });
+  } catch (error) {
+    console.error('Get Ramadan schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to build Ramadan schedule'
+    });
+  }
+});
+
+// Qibla bearing and distance to the Kaaba, computed locally. `declination`
+// (degrees, east positive) adds the bearing a magnetic compass should show.
+router.get('/qibla', optionalAuth, cacheControl(24 * 60 * 60), validate({
+  query: {
+    ...coordinateRules,
+    locationId: locationIdRule,
+    city: placeRule,
+    country: placeRule,
+    declination: { type: 'number', min: -90, max: 90 }
+  }
+}), async (req, res) => {
+  try {
+    const preferences = await loadPreferences(req.user && req.user.uid);
+    const place = resolvePlace(req.query, preferences);
+    if (place.error) return placeError(res, place.error);
+
+    res.json({
+      status: 'success',
+      data: {
+        location: place.label,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        ...qibla(place.latitude, place.longitude, req.query.declination)
+      }
+    });
+  } catch (error) {
+    console.error('Get qibla error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to calculate qibla direction'
     });
   }
 });
 
 // Save user prayer times preferences
-router.post('/preferences', authenticateToken, async (req, res) => {
+router.post('/preferences', authenticateToken, validate({
+  body: {
+    locationId: locationIdRule,
+    city: { ...placeRule, default: '' },
+    country: { ...placeRule, default: '' },
+    calculationMethod: { ...methodRule, default: DEFAULT_PREFERENCES.calculationMethod },
+    school: { ...schoolRule, default: DEFAULT_PREFERENCES.school },
+    highLatitudeRule: { ...latitudeAdjustmentRule, default: DEFAULT_PREFERENCES.highLatitudeRule },
+    offsets: offsetsRule,
+    timezone: timezoneRule,
+    notifications: notificationsRule,
+    hijriAdjustment: { ...hijriAdjustmentRule, default: DEFAULT_PREFERENCES.hijriAdjustment },
+    imsakMinutes: { ...imsakRule, default: DEFAULT_PREFERENCES.imsakMinutes }
+  }
+}), async (req, res) => {
   try {
-    const { city, country, calculationMethod, notifications } = req.body;
+    const {
+      locationId,
+      city,
+      country,
+      calculationMethod,
+      school,
+      highLatitudeRule,
+      offsets,
+      timezone,
+      notifications,
+      hijriAdjustment,
+      imsakMinutes
+    } = req.body;
 
     const preferences = {
+      locationId: locationId || '',
       city,
       country,
-      calculationMethod: calculationMethod || 2,
-      notifications: notifications || {},
+      calculationMethod,
+      school,
+      highLatitudeRule,
+      offsets: offsets || {},
+      timezone: timezone || '',
+      notifications: normalizeNotifications(notifications),
+      hijriAdjustment,
+      imsakMinutes,
       updatedAt: new Date().toISOString()
     };
 
-    await db.ref('prayer_preferences/' + req.user.uid).set(preferences);
+    await storage.set('prayer_preferences', req.user.uid, preferences);
 
     res.json({
       status: 'success',
       message: 'Prayer preferences saved',
-      data: preferences
+      data: { ...preferences, reminderIssue: reminderIssue(preferences) }
     });
   } catch (error) {
     console.error('Save preferences error:', error);
@@ -144,21 +647,14 @@ router.post('/preferences', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user prayer preferences
+// Get user prayer preferences; reminderIssue says why turned-on reminders can't be sent
 router.get('/preferences', authenticateToken, async (req, res) => {
   try {
-    const snapshot = await db.ref('prayer_preferences/' + req.user.uid).once('value');
-    
-    const preferences = snapshot.exists() ? snapshot.val() : {
-      city: '',
-      country: '',
-      calculationMethod: 2,
-      notifications: {}
-    };
+    const preferences = await loadPreferences(req.user && req.user.uid);
 
     res.json({
       status: 'success',
-      data: preferences
+      data: { ...preferences, reminderIssue: reminderIssue(preferences) }
     });
   } catch (error) {
     console.error('Get preferences error:', error);
@@ -170,7 +666,7 @@ router.get('/preferences', authenticateToken, async (req, res) => {
 });
 
 // Get prayer guide
-router.get('/guide', optionalAuth, async (req, res) => {
+router.get('/guide', optionalAuth, cacheControl(24 * 60 * 60), async (req, res) => {
   try {
     const prayerGuide = {
       title: "How to Perform Salah (Prayer)",
@@ -1,21 +1,126 @@
 const express = require('express');
 const axios = require('axios');
-const { optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { dateRule } = require('../middleware/prayerRules');
+const { surahRule, ayahRule } = require('../middleware/quranRules');
+const { SURAH_COUNT, JUZ_COUNT, surahInfo } = require('../config/quranMeta');
+const quranStore = require('../services/quranStore');
+const quranReading = require('../services/quranReading');
+const { searchQuran } = require('../services/quranSearch');
+const { isArabic } = require('../services/arabic');
+const { userToday } = require('../services/prayerPreferences');
+const { cache, CACHE_TTLS } = require('../services/cache');
+const { cacheControl } = require('../middleware/cacheControl');
 
 const router = express.Router();
 
-// Get all Surahs
-router.get('/surahs', optionalAuth, async (req, res) => {
-  try {
-    const response = await axios.get('https://api.alquran.cloud/v1/surah');
-    
+// Text comes from the local store (scripts/importQuran.js); alquran.cloud is
+// only asked for editions that haven't been imported, unless disabled
+const QURAN_REMOTE_FALLBACK = process.env.QURAN_REMOTE_FALLBACK !== 'false';
+
+// alquran.cloud GET through the shared cache; hits never touch the network
+async function fetchQuranApi(res, remotePath, ttl = CACHE_TTLS.quran) {
+  const { value, hit } = await cache.wrap(`quran:${remotePath}`, ttl, async () => {
+    const response = await axios.get(`https://api.alquran.cloud/v1/${remotePath}`);
     if (response.data.code !== 200) {
-      throw new Error('Failed to fetch Quran data');
+      throw new Error(`Failed to fetch ${remotePath}`);
     }
+    return response.data.data;
+  });
+
+  res.set('X-Cache', hit ? 'HIT' : 'MISS');
+  return value;
+}
+
+async function localOrRemote(res, local, remotePath) {
+  if (local) return local;
+  if (!QURAN_REMOTE_FALLBACK) return null;
+  return fetchQuranApi(res, remotePath);
+}
+
+// Browser/CDN cache lifetimes
+const DAY = 24 * 60 * 60;
+const HOUR = 60 * 60;
+
+function editionUnavailable(res, editions) {
+  const list = [].concat(editions);
+  return res.status(404).json({
+    status: 'error',
+    message: list.length > 1
+      ? `Editions ${list.join(', ')} are not available offline`
+      : `Edition ${list[0]} is not available offline`
+  });
+}
+
+// One payload per edition, in the order given, or the editions that are
+// neither imported nor (with the fallback on) available remotely
+async function loadEditions(res, identifiers, loadLocal, remotePath) {
+  const payloads = await Promise.all(identifiers.map(async (identifier) => localOrRemote(
+    res,
+    await loadLocal(identifier),
+    remotePath(encodeURIComponent(identifier))
+  )));
+  const missing = identifiers.filter((identifier, i) => !payloads[i]);
+  return missing.length ? { missing } : { payloads };
+}
+
+// Several editions side by side: every ayah carries one text per edition,
+// in the order the editions were asked for
+function alignEditions(payloads) {
+  const texts = payloads.map(({ ayahs, edition }) => new Map(
+    ayahs.map((ayah) => [ayah.number, { edition: edition.identifier, text: ayah.text }])
+  ));
+  return {
+    editions: payloads.map((payload) => payload.edition),
+    ayahs: payloads[0].ayahs.map(({ number, numberInSurah, juz, page }) => ({
+      number,
+      numberInSurah,
+      juz,
+      page,
+      texts: texts.map((byNumber) => byNumber.get(number) || null)
+    }))
+  };
+}
+
+const editionRule = {
+  type: 'string',
+  default: 'quran-simple',
+  pattern: /^[a-z0-9._-]{1,50}$/i,
+  patternMessage: 'is not a valid edition identifier'
+};
+// Arabic with a few translations and a tafsir; takes over from `edition`
+const MAX_PARALLEL_EDITIONS = 6;
+const editionsRule = {
+  type: 'array',
+  maxLength: MAX_PARALLEL_EDITIONS,
+  items: { ...editionRule, default: undefined }
+};
+const languageRule = { type: 'string', pattern: /^[a-z]{2,3}$/i, patternMessage: 'must be a language code' };
 
+const SEARCH_MODES = ['word', 'root'];
+// "N" or "N-M", within 1..max
+const parseRange = (value) => {
+  if (!value) return undefined;
+  const [from, to = from] = value.split('-').map(Number);
+  return { from, to };
+};
+const rangeRule = (max) => ({
+  type: 'string',
+  pattern: /^\d{1,3}(-\d{1,3})?$/,
+  patternMessage: 'must be a number or a range like 2-5',
+  check: (value) => {
+    const { from, to } = parseRange(value);
+    return from < 1 || to > max || from > to ? `must be a range within 1-${max}` : undefined;
+  }
+});
+
+// Get all Surahs
+router.get('/surahs', optionalAuth, cacheControl(DAY), async (req, res) => {
+  try {
     res.json({
       status: 'success',
-      data: response.data.data
+      data: quranStore.getSurahs()
     });
   } catch (error) {
     console.error('Get surahs error:', error);
@@ -26,23 +131,83 @@ router.get('/surahs', optionalAuth, async (req, res) => {
   }
 });
 
+// Editions to read from, optionally one language and/or type (quran,
+// translation, tafsir...). Imported editions are marked offline; with the
+// remote fallback on, alquran.cloud's other text editions are listed too.
+router.get('/editions', optionalAuth, cacheControl(HOUR), validate({
+  query: {
+    language: languageRule,
+    type: { type: 'string', pattern: /^[a-z]{1,20}$/i, patternMessage: 'is not a valid edition type' }
+  }
+}), async (req, res) => {
+  try {
+    const language = req.query.language && req.query.language.toLowerCase();
+    const type = req.query.type && req.query.type.toLowerCase();
+
+    const local = await quranStore.listEditions({ language, type });
+    const editions = local.map((edition) => ({ ...edition, offline: true }));
+
+    if (QURAN_REMOTE_FALLBACK) {
+      const filters = new URLSearchParams({ format: 'text', ...(language && { language }), ...(type && { type }) });
+      try {
+        const imported = new Set(local.map((edition) => edition.identifier));
+        const remote = await fetchQuranApi(res, `edition?${filters}`);
+        remote
+          .filter((edition) => !imported.has(edition.identifier))
+          .forEach((edition) => editions.push({ ...edition, offline: false }));
+      } catch (error) {
+        // The imported editions are still worth returning
+        console.error('Fetch remote editions error:', error.message);
+      }
+    }
+
+    res.json({
+      status: 'success',
+      data: editions
+    });
+  } catch (error) {
+    console.error('Get editions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch editions'
+    });
+  }
+});
+
 // Get specific Surah by number
-router.get('/surahs/:number', optionalAuth, async (req, res) => {
+router.get('/surahs/:number', optionalAuth, cacheControl(DAY), validate({
+  params: { number: surahRule },
+  query: { edition: editionRule, editions: editionsRule }
+}), async (req, res) => {
   try {
     const { number } = req.params;
-    const { edition = 'quran-simple' } = req.query;
+    const { edition, editions } = req.query;
 
-    const response = await axios.get(
-      `https://api.alquran.cloud/v1/surah/${number}/${edition}`
-    );
+    if (editions) {
+      const { payloads, missing } = await loadEditions(
+        res,
+        [...new Set(editions)],
+        (identifier) => quranStore.getSurah(number, identifier),
+        (identifier) => `surah/${number}/${identifier}`
+      );
+      if (missing) return editionUnavailable(res, missing);
 
-    if (response.data.code !== 200) {
-      throw new Error('Failed to fetch Surah data');
+      return res.json({
+        status: 'success',
+        data: { ...surahInfo(number), ...alignEditions(payloads) }
+      });
     }
 
+    const surah = await localOrRemote(
+      res,
+      await quranStore.getSurah(number, edition),
+      `surah/${number}/${encodeURIComponent(edition)}`
+    );
+    if (!surah) return editionUnavailable(res, edition);
+
     res.json({
       status: 'success',
-      data: response.data.data
+      data: surah
     });
   } catch (error) {
     console.error('Get surah error:', error);
@@ -54,22 +219,45 @@ router.get('/surahs/:number', optionalAuth, async (req, res) => {
 });
 
 // Get specific Ayah
-router.get('/ayah/:surah/:ayah', optionalAuth, async (req, res) => {
+router.get('/ayah/:surah/:ayah', optionalAuth, cacheControl(DAY), validate({
+  params: {
+    surah: surahRule,
+    ayah: ayahRule('params')
+  },
+  query: { edition: editionRule, editions: editionsRule }
+}), async (req, res) => {
   try {
     const { surah, ayah } = req.params;
-    const { edition = 'quran-simple' } = req.query;
+    const { edition, editions } = req.query;
 
-    const response = await axios.get(
-      `https://api.alquran.cloud/v1/ayah/${surah}:${ayah}/${edition}`
-    );
+    if (editions) {
+      const { payloads, missing } = await loadEditions(
+        res,
+        [...new Set(editions)],
+        (identifier) => quranStore.getAyah(surah, ayah, identifier),
+        (identifier) => `ayah/${surah}:${ayah}/${identifier}`
+      );
+      if (missing) return editionUnavailable(res, missing);
 
-    if (response.data.code !== 200) {
-      throw new Error('Failed to fetch Ayah data');
+      const { editions: editionList, ayahs: [aligned] } = alignEditions(
+        payloads.map((payload) => ({ ayahs: [payload], edition: payload.edition }))
+      );
+      return res.json({
+        status: 'success',
+        data: { ...aligned, surah: surahInfo(surah), editions: editionList }
+      });
     }
 
+    const ayahData = await localOrRemote(
+      res,
+      await quranStore.getAyah(surah, ayah, edition),
+      `ayah/${surah}:${ayah}/${encodeURIComponent(edition)}`
+    );
+    if (!ayahData) return editionUnavailable(res, edition);
+
     res.json({
       status: 'success',
-      data: response.data.data
+      data: ayahData
     });
   } catch (error) {
     console.error('Get ayah error:', error);
@@ -80,95 +268,281 @@ router.get('/ayah/:surah/:ayah', optionalAuth, async (req, res) => {
   }
 });
 
-// Search Quran
-router.get('/search', optionalAuth, async (req, res) => {
+// Search imported text and translations. Arabic queries match regardless of
+// tashkeel and spelling variants; mode=root also matches words sharing a root.
+// Without `edition`, every imported edition in `language` (default: Arabic
+// for an Arabic query, else English) is searched.
+router.get('/search', optionalAuth, cacheControl(HOUR), validate({
+  query: {
+    query: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    mode: { type: 'enum', values: SEARCH_MODES, default: 'word' },
+    edition: { ...editionRule, default: undefined },
+    language: languageRule,
+    surah: rangeRule(SURAH_COUNT),
+    juz: rangeRule(JUZ_COUNT),
+    page: rules.page,
+    limit: rules.limit(20)
+  }
+}), async (req, res) => {
   try {
-    const { query, language = 'en' } = req.query;
+    const { query, mode, edition, surah, juz, page, limit } = req.query;
+    const language = (req.query.language || (isArabic(query) ? 'ar' : 'en')).toLowerCase();
 
-    if (!query) {
-      return res.status(400).json({
+    const imported = await quranStore.listImports();
+    const editions = edition
+      ? imported.filter((candidate) => candidate.identifier === edition)
+      : imported.filter((candidate) => candidate.language === language);
+    if (!editions.length) {
+      return res.status(404).json({
         status: 'error',
-        message: 'Search query is required'
+        message: edition
+          ? `Edition ${edition} has not been imported`
+          : `No ${language} editions have been imported`
       });
     }
 
-    const response = await axios.get(
-      `https://api.alquran.cloud/v1/search/${query}/all/${language}`
+    const results = await searchQuran({
+      query,
+      mode,
+      editions,
+      surahs: parseRange(surah),
+      juzs: parseRange(juz),
+      page,
+      limit
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        query,
+        mode,
+        editions: editions.map((candidate) => candidate.identifier),
+        ...results
+      }
+    });
+  } catch (error) {
+    console.error('Search Quran error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to search Quran'
+    });
+  }
+});
+
+// Get Juz (Para) information
+router.get('/juz/:number', optionalAuth, cacheControl(DAY), validate({
+  params: { number: { type: 'integer', required: true, min: 1, max: JUZ_COUNT } },
+  query: { edition: { ...editionRule, default: 'quran-uthmani' } }
+}), async (req, res) => {
+  try {
+    const { number } = req.params;
+    const { edition } = req.query;
+
+    const juz = await localOrRemote(
+      res,
+      await quranStore.getJuz(number, edition),
+      `juz/${number}/${encodeURIComponent(edition)}`
     );
+    if (!juz) return editionUnavailable(res, edition);
 
-    if (response.data.code !== 200) {
-      throw new Error('Failed to search Quran');
+    res.json({
+      status: 'success',
+      data: juz
+    });
+  } catch (error) {
+    console.error('Get juz error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch Juz'
+    });
+  }
+});
+
+// Reading progress, bookmarks and the khatm planner are per user. "Today"
+// follows the timezone in the user's prayer preferences.
+
+// Bookmarked ayahs, newest first
+router.get('/bookmarks', authenticateToken, validate({
+  query: { surah: { ...surahRule, required: false } }
+}), async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await quranReading.listBookmarks(req.user.uid, req.query.surah)
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch bookmarks'
+    });
+  }
+});
+
+// Bookmark an ayah, or change its note
+router.put('/bookmarks/:surah/:ayah', authenticateToken, validate({
+  params: { surah: surahRule, ayah: ayahRule('params') },
+  body: { note: { type: 'string', maxLength: 2000, default: '' } }
+}), async (req, res) => {
+  try {
+    const { surah, ayah } = req.params;
+    const { bookmark, created } = await quranReading.saveBookmark(req.user.uid, surah, ayah, req.body.note);
+
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'Bookmark added' : 'Bookmark updated',
+      data: bookmark
+    });
+  } catch (error) {
+    console.error('Save bookmark error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save bookmark'
+    });
+  }
+});
+
+router.delete('/bookmarks/:surah/:ayah', authenticateToken, validate({
+  params: { surah: surahRule, ayah: ayahRule('params') }
+}), async (req, res) => {
+  try {
+    const { surah, ayah } = req.params;
+    if (!await quranReading.removeBookmark(req.user.uid, surah, ayah)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bookmark not found'
+      });
     }
 
     res.json({
       status: 'success',
-      data: response.data.data
+      message: 'Bookmark removed'
     });
   } catch (error) {
-    console.error('Search Quran error:', error);
+    console.error('Remove bookmark error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to search Quran'
+      message: 'Failed to remove bookmark'
     });
   }
 });
 
-// Get Quran audio
-router.get('/audio/:reciter/:surah', optionalAuth, async (req, res) => {
+// Last-read position and where to resume
+router.get('/progress', authenticateToken, async (req, res) => {
   try {
-    const { reciter, surah } = req.params;
+    res.json({
+      status: 'success',
+      data: await quranReading.getProgress(req.user.uid)
+    });
+  } catch (error) {
+    console.error('Get reading progress error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reading progress'
+    });
+  }
+});
 
-    // List of popular reciters
-    const reciters = {
-      'mishari': 'mishaari_raashid_al_3afaasee',
-      'abdulbaset': 'abdulbaset_abdulsamad',
-      'hudhaify': 'hudhaify',
-      'shatri': 'abu_bakr_ash-shatree'
-    };
+// Record the last ayah read; also advances the khatm plan
+router.put('/progress', authenticateToken, validate({
+  body: { surah: surahRule, ayah: ayahRule('body') }
+}), async (req, res) => {
+  try {
+    const { surah, ayah } = req.body;
 
-    const reciterId = reciters[reciter] || reciters['mishari'];
+    res.json({
+      status: 'success',
+      message: 'Reading progress saved',
+      data: await quranReading.recordProgress(req.user.uid, surah, ayah)
+    });
+  } catch (error) {
+    console.error('Save reading progress error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save reading progress'
+    });
+  }
+});
 
-    const audioUrl = `https://download.quranicaudio.com/quran/${reciterId}/${surah}.mp3`;
+// The khatm plan with today's reading and the days after it
+router.get('/khatm', authenticateToken, async (req, res) => {
+  try {
+    const plan = await quranReading.getPlan(req.user.uid, await userToday(req.user.uid));
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No khatm plan; create one with POST /quran/khatm'
+      });
+    }
 
     res.json({
       status: 'success',
-      data: {
-        audioUrl,
-        reciter: reciterId,
-        surah: parseInt(surah)
-      }
+      data: plan
     });
   } catch (error) {
-    console.error('Get audio error:', error);
+    console.error('Get khatm plan error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to get audio URL'
+      message: 'Failed to fetch khatm plan'
     });
   }
 });
 
-// Get Juz (Para) information
-router.get('/juz/:number', optionalAuth, async (req, res) => {
+// Start (or restart) a khatm: finish by targetDate, reading in juz, pages or
+// ayahs a day, from startSurah:startAyah (default the beginning)
+router.post('/khatm', authenticateToken, validate({
+  body: {
+    targetDate: { ...dateRule, required: true },
+    unit: { type: 'enum', values: quranReading.KHATM_UNITS, default: 'page' },
+    startSurah: { ...surahRule, required: false, default: 1 },
+    startAyah: { ...ayahRule('body', 'startSurah'), required: false, default: 1 }
+  }
+}), async (req, res) => {
   try {
-    const { number } = req.params;
+    const { targetDate, unit, startSurah, startAyah } = req.body;
+    const today = await userToday(req.user.uid);
 
-    const response = await axios.get(
-      `https://api.alquran.cloud/v1/juz/${number}/quran-uthmani`
-    );
+    if (targetDate < today) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'targetDate must not be in the past'
+      });
+    }
 
-    if (response.data.code !== 200) {
-      throw new Error('Failed to fetch Juz data');
+    const plan = await quranReading.createPlan(req.user.uid, { unit, targetDate, startSurah, startAyah, today });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Khatm plan created',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Create khatm plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create khatm plan'
+    });
+  }
+});
+
+router.delete('/khatm', authenticateToken, async (req, res) => {
+  try {
+    if (!await quranReading.removePlan(req.user.uid)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No khatm plan'
+      });
     }
 
     res.json({
       status: 'success',
-      data: response.data.data
+      message: 'Khatm plan removed'
     });
   } catch (error) {
-    console.error('Get juz error:', error);
+    console.error('Remove khatm plan error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to fetch Juz'
+      message: 'Failed to remove khatm plan'
     });
   }
 });
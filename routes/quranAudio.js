@@ -0,0 +1,274 @@
+const express = require('express');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { cacheControl } = require('../middleware/cacheControl');
+const { surahRule } = require('../middleware/quranRules');
+const { ayahCount } = require('../config/quranMeta');
+const { RECITER_STYLES } = require('../config/reciters');
+const reciters = require('../services/reciters');
+
+// Recitations, mounted under /quran next to the text routes: the reciter
+// catalog (managed by editors) and audio URLs for a surah or ayah range.
+const router = express.Router();
+
+const HOUR = 60 * 60;
+
+const reciterIdRule = {
+  type: 'string',
+  required: true,
+  pattern: /^[a-z0-9_-]{1,50}$/i,
+  patternMessage: 'is not a valid reciter'
+};
+const reciterFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  arabicName: { type: 'string', maxLength: 200 },
+  style: { type: 'enum', values: RECITER_STYLES },
+  bitrate: { type: 'integer', min: 16, max: 512 },
+  surahUrl: { type: 'url' },
+  ayahUrl: { type: 'url' }
+};
+// Ayah within the surah in the URL
+const rangeAyahRule = (check) => ({
+  type: 'integer',
+  min: 1,
+  check: (ayah, { params, query }) => {
+    if (ayah > ayahCount(params.surah)) return `must be at most ${ayahCount(params.surah)} for surah ${params.surah}`;
+    return check ? check(ayah, query) : undefined;
+  }
+});
+
+function reciterNotFound(res) {
+  return res.status(404).json({
+    status: 'error',
+    message: 'Reciter not found'
+  });
+}
+
+// Reciters in the catalog, optionally of one style
+router.get('/reciters', optionalAuth, cacheControl(HOUR), validate({
+  query: { style: reciterFields.style }
+}), async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await reciters.listReciters({ style: req.query.style })
+    });
+  } catch (error) {
+    console.error('Get reciters error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reciters'
+    });
+  }
+});
+
+router.get('/reciters/:id', optionalAuth, cacheControl(HOUR), validate({
+  params: { id: reciterIdRule }
+}), async (req, res) => {
+  try {
+    const reciter = await reciters.getReciter(req.params.id.toLowerCase());
+    if (!reciter) return reciterNotFound(res);
+
+    res.json({
+      status: 'success',
+      data: reciter
+    });
+  } catch (error) {
+    console.error('Get reciter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reciter'
+    });
+  }
+});
+
+// Add a reciter (Editors). `id` is the slug used in audio URLs.
+router.post('/reciters', authenticateToken, requireRole('editor'), validate({
+  body: {
+    ...reciterFields,
+    id: reciterIdRule,
+    name: { ...reciterFields.name, required: true },
+    arabicName: { ...reciterFields.arabicName, default: '' },
+    style: { ...reciterFields.style, default: 'murattal' },
+    bitrate: { ...reciterFields.bitrate, default: 128 }
+  }
+}), async (req, res) => {
+  try {
+    const id = req.body.id.toLowerCase();
+
+    if (!req.body.surahUrl && !req.body.ayahUrl) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A reciter needs a surahUrl, an ayahUrl or both'
+      });
+    }
+
+    const fields = {};
+    reciters.RECITER_FIELDS.forEach((field) => {
+      fields[field] = req.body[field] === undefined ? null : req.body[field];
+    });
+
+    const reciter = await reciters.addReciter(id, fields, req.user.uid);
+    if (!reciter) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Reciter ${id} already exists`
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Reciter added successfully',
+      data: reciter
+    });
+  } catch (error) {
+    console.error('Add reciter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add reciter'
+    });
+  }
+});
+
+// Update a reciter (Editors); only the fields given change
+router.put('/reciters/:id', authenticateToken, requireRole('editor'), validate({
+  params: { id: reciterIdRule },
+  body: reciterFields
+}), async (req, res) => {
+  try {
+    const fields = {};
+    reciters.RECITER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const reciter = await reciters.updateReciter(req.params.id.toLowerCase(), fields, req.user.uid);
+    if (!reciter) return reciterNotFound(res);
+
+    res.json({
+      status: 'success',
+      message: 'Reciter updated successfully',
+      data: reciter
+    });
+  } catch (error) {
+    console.error('Update reciter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update reciter'
+    });
+  }
+});
+
+// Remove a reciter (Editors and moderators)
+router.delete('/reciters/:id', authenticateToken, requireRole('editor', 'moderator'), validate({
+  params: { id: reciterIdRule }
+}), async (req, res) => {
+  try {
+    if (!await reciters.removeReciter(req.params.id.toLowerCase())) return reciterNotFound(res);
+
+    res.json({
+      status: 'success',
+      message: 'Reciter removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove reciter error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove reciter'
+    });
+  }
+});
+
+// Set where each ayah falls in the reciter's surah file (Editors):
+// segments = [{ ayah, start, end }] in milliseconds, one per ayah
+router.put('/reciters/:id/timings/:surah', authenticateToken, requireRole('editor'), validate({
+  params: { id: reciterIdRule, surah: surahRule },
+  body: {
+    segments: {
+      type: 'array',
+      required: true,
+      maxLength: 286,
+      check: (segments, { params }) => reciters.timingsError(segments, params.surah)
+    }
+  }
+}), async (req, res) => {
+  try {
+    const id = req.params.id.toLowerCase();
+    const { surah } = req.params;
+
+    if (!await reciters.getReciter(id)) return reciterNotFound(res);
+
+    const segments = req.body.segments.map(({ ayah, start, end }) => ({ ayah, start, end }));
+    await reciters.saveTimings(id, surah, segments, req.user.uid);
+
+    res.json({
+      status: 'success',
+      message: 'Timings saved',
+      data: { reciter: id, surah, segments }
+    });
+  } catch (error) {
+    console.error('Save timings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save timings'
+    });
+  }
+});
+
+router.delete('/reciters/:id/timings/:surah', authenticateToken, requireRole('editor'), validate({
+  params: { id: reciterIdRule, surah: surahRule }
+}), async (req, res) => {
+  try {
+    if (!await reciters.removeTimings(req.params.id.toLowerCase(), req.params.surah)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No timings for that reciter and surah'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Timings removed'
+    });
+  } catch (error) {
+    console.error('Remove timings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove timings'
+    });
+  }
+});
+
+// Get Quran audio: the surah file, per-ayah files and, when the reciter's
+// timings are known, each ayah's place in the surah file. `from`/`to` pick
+// an ayah range, e.g. to loop it while memorizing.
+router.get('/audio/:reciter/:surah', optionalAuth, cacheControl(HOUR), validate({
+  params: {
+    reciter: reciterIdRule,
+    surah: surahRule
+  },
+  query: {
+    from: rangeAyahRule(),
+    to: rangeAyahRule((to, query) => (query.from && to < query.from ? 'must not be before from' : undefined))
+  }
+}), async (req, res) => {
+  try {
+    const { surah } = req.params;
+    const { from, to } = req.query;
+
+    const reciter = await reciters.getReciter(req.params.reciter.toLowerCase());
+    if (!reciter) return reciterNotFound(res);
+
+    res.json({
+      status: 'success',
+      data: await reciters.surahAudio(reciter, surah, from, to)
+    });
+  } catch (error) {
+    console.error('Get audio error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get audio URL'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { dateRule, parseDate } = require('../middleware/prayerRules');
+const { todayIn, isoDate } = require('../services/prayerTimes');
+const { UMM_AL_QURA_FIRST_YEAR, UMM_AL_QURA_LAST_YEAR } = require('../services/hijri');
+const { loadPreferences, preferredTimezone } = require('../services/prayerPreferences');
+const {
+  FAST_STATUSES,
+  ramadanFor,
+  currentRamadan,
+  ramadanDayOf,
+  listFasts,
+  recordFast,
+  clearFast,
+  makeUpSummary,
+  logMakeUp,
+  removeMakeUp,
+  fastSummary
+} = require('../services/ramadan');
+
+const router = express.Router();
+
+// Fasting tracker. Ramadan days come from the Hijri calendar with the user's
+// saved adjustment, so the tracker switches on by itself when Ramadan starts.
+// The suhoor/iftar schedule is GET /prayer/ramadan.
+router.use(authenticateToken);
+
+const requiredDate = { ...dateRule, required: true };
+
+// Today and the Hijri adjustment, from the user's prayer preferences
+async function userCalendar(uid) {
+  const preferences = await loadPreferences(uid);
+  return {
+    today: todayIn(preferredTimezone(preferences)),
+    adjustment: preferences.hijriAdjustment
+  };
+}
+
+// Whether Ramadan is on, with this Ramadan's fasts and make-ups owed
+router.get('/', async (req, res) => {
+  try {
+    const { today, adjustment } = await userCalendar(req.user.uid);
+    const ramadan = currentRamadan(today, adjustment);
+    const [fasts, makeUp] = await Promise.all([
+      listFasts(req.user.uid, ramadan.hijriYear),
+      makeUpSummary(req.user.uid)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        today: isoDate(today),
+        ramadan,
+        fasts: fastSummary(fasts, ramadan),
+        makeUp: { missed: makeUp.missed, madeUp: makeUp.madeUp, owed: makeUp.owed }
+      }
+    });
+  } catch (error) {
+    console.error('Get Ramadan status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch Ramadan status'
+    });
+  }
+});
+
+// Fasts logged in one Ramadan (Hijri `year`, default the current or next one)
+router.get('/fasts', validate({
+  query: { year: { type: 'integer', min: UMM_AL_QURA_FIRST_YEAR, max: UMM_AL_QURA_LAST_YEAR } }
+}), async (req, res) => {
+  try {
+    const { today, adjustment } = await userCalendar(req.user.uid);
+    const ramadan = req.query.year
+      ? ramadanFor(req.query.year, today, adjustment)
+      : currentRamadan(today, adjustment);
+    const fasts = await listFasts(req.user.uid, ramadan.hijriYear);
+
+    res.json({
+      status: 'success',
+      data: {
+        ramadan,
+        summary: fastSummary(fasts, ramadan),
+        fasts
+      }
+    });
+  } catch (error) {
+    console.error('Get fasts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch fasts'
+    });
+  }
+});
+
+// Log a Ramadan day's fast as kept or missed
+router.put('/fasts/:date', validate({
+  params: { date: requiredDate },
+  body: { status: { type: 'enum', required: true, values: FAST_STATUSES } }
+}), async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { today, adjustment } = await userCalendar(req.user.uid);
+
+    if (date > isoDate(today)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Fasts cannot be logged for a future date'
+      });
+    }
+    const ramadanDay = ramadanDayOf(parseDate(date), adjustment);
+    if (!ramadanDay) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${date} is not in Ramadan; log make-up fasts with POST /ramadan/make-up`
+      });
+    }
+
+    const fast = await recordFast(req.user.uid, date, ramadanDay, req.body.status);
+
+    res.json({
+      status: 'success',
+      message: 'Fast logged',
+      data: fast
+    });
+  } catch (error) {
+    console.error('Log fast error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log fast'
+    });
+  }
+});
+
+router.delete('/fasts/:date', validate({ params: { date: requiredDate } }), async (req, res) => {
+  try {
+    if (!await clearFast(req.user.uid, req.params.date)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No fast logged for that date'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Fast removed'
+    });
+  } catch (error) {
+    console.error('Remove fast error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove fast'
+    });
+  }
+});
+
+// Missed fasts, make-ups logged and make-ups still owed
+router.get('/make-up', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await makeUpSummary(req.user.uid)
+    });
+  } catch (error) {
+    console.error('Get make-up fasts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch make-up fasts'
+    });
+  }
+});
+
+// Log a make-up fast (default today)
+router.post('/make-up', validate({ body: { date: dateRule } }), async (req, res) => {
+  try {
+    const { today, adjustment } = await userCalendar(req.user.uid);
+    const date = req.body.date || isoDate(today);
+
+    if (date > isoDate(today)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Fasts cannot be logged for a future date'
+      });
+    }
+    if (ramadanDayOf(parseDate(date), adjustment)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${date} is in Ramadan; log it with PUT /ramadan/fasts/${date}`
+      });
+    }
+
+    const result = await logMakeUp(req.user.uid, date);
+    if (result === 'duplicate' || result === 'none-owed') {
+      return res.status(409).json({
+        status: 'error',
+        message: result === 'duplicate'
+          ? 'A make-up fast is already logged for that date'
+          : 'No missed fasts to make up'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Make-up fast logged',
+      data: result
+    });
+  } catch (error) {
+    console.error('Log make-up fast error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log make-up fast'
+    });
+  }
+});
+
+router.delete('/make-up/:date', validate({ params: { date: requiredDate } }), async (req, res) => {
+  try {
+    if (!await removeMakeUp(req.user.uid, req.params.date)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No make-up fast logged for that date'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Make-up fast removed'
+    });
+  } catch (error) {
+    console.error('Remove make-up fast error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove make-up fast'
+    });
+  }
+});
+
+module.exports = router;
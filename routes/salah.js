@@ -0,0 +1,256 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
+const { dateRule } = require('../middleware/prayerRules');
+const { addDays } = require('../services/prayerTimes');
+const { userToday } = require('../services/prayerPreferences');
+const {
+  SALAH_PRAYERS,
+  SALAH_STATUSES,
+  getDays,
+  recordPrayer,
+  getLedger,
+  addQaza,
+  logMakeUp,
+  ledgerHistory,
+  getStreaks,
+  getStats
+} = require('../services/salahLog');
+
+const router = express.Router();
+
+// Personal salah tracking: daily log, qaza ledger, streaks and stats.
+// "Today" is the user's day in the timezone saved in their prayer preferences.
+router.use(authenticateToken);
+
+const MAX_LOG_DAYS = 366;
+const MAX_QAZA_ADD = 100000;
+const MAX_MAKE_UP = 100;
+
+const prayerRule = { type: 'enum', required: true, values: SALAH_PRAYERS };
+
+const futureDate = (res) => res.status(400).json({
+  status: 'error',
+  message: 'Prayers cannot be recorded for a future date'
+});
+
+// Logged days, oldest first (default: the last 7 days)
+router.get('/log', validate({
+  query: {
+    from: dateRule,
+    to: {
+      ...dateRule,
+      check: (to, { query }) => {
+        const invalid = dateRule.check(to);
+        if (invalid || !query.from) return invalid;
+        if (to < query.from) return 'must not be before from';
+        const days = (new Date(`${to}T00:00:00Z`) - new Date(`${query.from}T00:00:00Z`)) / 86400000;
+        return days >= MAX_LOG_DAYS ? `must be within ${MAX_LOG_DAYS} days of from` : undefined;
+      }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+    const to = req.query.to || (req.query.from ? addDays(req.query.from, 6) : today);
+    const from = req.query.from || addDays(to, -6);
+
+    res.json({
+      status: 'success',
+      data: {
+        today,
+        from,
+        to,
+        days: await getDays(req.user.uid, from, to)
+      }
+    });
+  } catch (error) {
+    console.error('Get salah log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch salah log'
+    });
+  }
+});
+
+// Mark a prayer as prayed on time, late, or missed
+router.put('/log/:date/:prayer', validate({
+  params: { date: { ...dateRule, required: true }, prayer: prayerRule },
+  body: { status: { type: 'enum', required: true, values: SALAH_STATUSES } }
+}), async (req, res) => {
+  try {
+    const { date, prayer } = req.params;
+    if (date > await userToday(req.user.uid)) return futureDate(res);
+
+    const { day } = await recordPrayer(req.user.uid, date, prayer, req.body.status);
+
+    res.json({
+      status: 'success',
+      message: 'Prayer recorded',
+      data: day
+    });
+  } catch (error) {
+    console.error('Record prayer error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to record prayer'
+    });
+  }
+});
+
+// Clear a prayer's status
+router.delete('/log/:date/:prayer', validate({
+  params: { date: { ...dateRule, required: true }, prayer: prayerRule }
+}), async (req, res) => {
+  try {
+    const { date, prayer } = req.params;
+    const { previous, day } = await recordPrayer(req.user.uid, date, prayer, null);
+    if (!previous) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prayer not recorded'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Prayer cleared',
+      data: day
+    });
+  } catch (error) {
+    console.error('Clear prayer error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to clear prayer'
+    });
+  }
+});
+
+// Qaza prayers owed and made up, per prayer
+router.get('/qaza', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await getLedger(req.user.uid)
+    });
+  } catch (error) {
+    console.error('Get qaza ledger error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch qaza ledger'
+    });
+  }
+});
+
+// Ledger changes, newest first
+router.get('/qaza/history', validate({ query: { limit: rules.limit(50, 500) } }), async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await ledgerHistory(req.user.uid, req.query.limit)
+    });
+  } catch (error) {
+    console.error('Get qaza history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch qaza history'
+    });
+  }
+});
+
+// Add prayers missed before tracking started
+router.post('/qaza', validate({
+  body: {
+    prayer: prayerRule,
+    count: { type: 'integer', required: true, min: 1, max: MAX_QAZA_ADD }
+  }
+}), async (req, res) => {
+  try {
+    const ledger = await addQaza(req.user.uid, req.body.prayer, req.body.count);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Qaza prayers added',
+      data: ledger
+    });
+  } catch (error) {
+    console.error('Add qaza error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add qaza prayers'
+    });
+  }
+});
+
+// Log made-up prayers
+router.post('/qaza/make-up', validate({
+  body: {
+    prayer: prayerRule,
+    count: { type: 'integer', min: 1, max: MAX_MAKE_UP, default: 1 }
+  }
+}), async (req, res) => {
+  try {
+    const { prayer, count } = req.body;
+    const ledger = await logMakeUp(req.user.uid, prayer, count);
+    if (!ledger) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Fewer than ${count} ${prayer} prayer(s) are owed`
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Make-up logged',
+      data: ledger
+    });
+  } catch (error) {
+    console.error('Log make-up error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log make-up prayers'
+    });
+  }
+});
+
+// Current and longest runs of complete days
+router.get('/streaks', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await getStreaks(req.user.uid, await userToday(req.user.uid))
+    });
+  } catch (error) {
+    console.error('Get salah streaks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch salah streaks'
+    });
+  }
+});
+
+// Weekly (Monday to Sunday) or monthly statistics around `date` (default today)
+router.get('/stats', validate({
+  query: {
+    period: { type: 'enum', values: ['week', 'month'], default: 'week' },
+    date: dateRule
+  }
+}), async (req, res) => {
+  try {
+    const today = await userToday(req.user.uid);
+    const stats = await getStats(req.user.uid, req.query.period, req.query.date || today, today);
+
+    res.json({
+      status: 'success',
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get salah stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch salah statistics'
+    });
+  }
+});
+
+module.exports = router;
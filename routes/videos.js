@@ -1,27 +1,34 @@
 const express = require('express');
-const { db } = require('../config/firebase');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const storage = require('../storage');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { validate, rules } = require('../middleware/validate');
 
 const router = express.Router();
 
+const categoryRule = { type: 'string', minLength: 1, maxLength: 50 };
+
+const videoFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', minLength: 1, maxLength: 5000 },
+  url: { type: 'url' },
+  category: categoryRule
+};
+
 // Get all videos with pagination
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: { page: rules.page, limit: rules.limit(10), category: categoryRule }
+}), async (req, res) => {
   try {
-    const { page = 1, limit = 10, category } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const { page: pageNum, limit: limitNum, category } = req.query;
     const offset = (pageNum - 1) * limitNum;
 
-    let videosRef = db.ref('videos').orderByChild('createdAt');
-
-    // Apply category filter if provided
-    if (category) {
-      videosRef = videosRef.equalTo(category, 'category');
-    }
+    const videos = await storage.list('videos', {
+      orderBy: 'createdAt',
+      // Apply category filter if provided
+      where: category ? { category } : undefined
+    });
 
-    const snapshot = await videosRef.once('value');
-    
-    if (!snapshot.exists()) {
+    if (!videos.length) {
       return res.json({
         status: 'success',
         data: {
@@ -36,14 +43,6 @@ router.get('/', optionalAuth, async (req, res) => {
       });
     }
 
-    const videos = [];
-    snapshot.forEach((childSnapshot) => {
-      videos.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
-    });
-
     // Reverse to get newest first and apply pagination
     const reversedVideos = videos.reverse();
     const paginatedVideos = reversedVideos.slice(offset, offset + limitNum);
@@ -70,29 +69,13 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // Get latest videos for home page
-router.get('/latest', optionalAuth, async (req, res) => {
+router.get('/latest', optionalAuth, validate({ query: { limit: rules.limit(3, 50) } }), async (req, res) => {
   try {
-    const { limit = 3 } = req.query;
-    const limitNum = parseInt(limit);
-
-    const snapshot = await db.ref('videos')
-      .orderByChild('createdAt')
-      .limitToLast(limitNum)
-      .once('value');
-
-    if (!snapshot.exists()) {
-      return res.json({
-        status: 'success',
-        data: []
-      });
-    }
+    const { limit: limitNum } = req.query;
 
-    const videos = [];
-    snapshot.forEach((childSnapshot) => {
-      videos.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
+    const videos = await storage.list('videos', {
+      orderBy: 'createdAt',
+      limitToLast: limitNum
     });
 
     // Reverse to get newest first
@@ -110,13 +93,13 @@ router.get('/latest', optionalAuth, async (req, res) => {
 });
 
 // Get single video by ID
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, validate({ params: { id: rules.id } }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const snapshot = await db.ref('videos/' + id).once('value');
-    
-    if (!snapshot.exists()) {
+    const video = await storage.get('videos', id);
+
+    if (!video) {
       return res.status(404).json({
         status: 'error',
         message: 'Video not found'
@@ -125,10 +108,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     res.json({
       status: 'success',
-      data: {
-        id,
-        ...snapshot.val()
-      }
+      data: video
     });
   } catch (error) {
     console.error('Get video error:', error);
@@ -139,28 +119,17 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Add new video (Admin only)
-router.post('/', authenticateToken, async (req, res) => {
+// Add new video (Editors)
+router.post('/', authenticateToken, requireRole('editor'), validate({
+  body: {
+    title: { ...videoFields.title, required: true },
+    description: { ...videoFields.description, required: true },
+    url: { ...videoFields.url, required: true },
+    category: { ...categoryRule, default: 'general' }
+  }
+}), async (req, res) => {
   try {
-    const { title, description, url, category = 'general' } = req.body;
-
-    if (!title || !description || !url) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Title, description, and URL are required'
-      });
-    }
-
-    // Check if user is admin
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
-
-    if (!userData || !userData.isAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
+    const { title, description, url, category } = req.body;
 
     const videoData = {
       title,
@@ -171,13 +140,13 @@ router.post('/', authenticateToken, async (req, res) => {
       createdBy: req.user.uid
     };
 
-    const newVideoRef = await db.ref('videos').push(videoData);
+    const videoId = await storage.push('videos', videoData);
 
     res.status(201).json({
       status: 'success',
       message: 'Video added successfully',
       data: {
-        id: newVideoRef.key,
+        id: videoId,
         ...videoData
       }
     });
@@ -190,32 +159,24 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Update video (Admin only)
-router.put('/:id', authenticateToken, async (req, res) => {
+// Update video (Editors)
+router.put('/:id', authenticateToken, requireRole('editor'), validate({
+  params: { id: rules.id },
+  body: videoFields
+}), async (req, res) => {
   try {
     const { id } = req.params;
     const { title, description, url, category } = req.body;
 
     // Check if video exists
-    const videoSnapshot = await db.ref('videos/' + id).once('value');
-    if (!videoSnapshot.exists()) {
+    const video = await storage.get('videos', id);
+    if (!video) {
       return res.status(404).json({
         status: 'error',
         message: 'Video not found'
       });
     }
 
-    // Check if user is admin
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
-
-    if (!userData || !userData.isAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
-
     const updateData = {
       updatedAt: new Date().toISOString(),
       updatedBy: req.user.uid
@@ -226,7 +187,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (url) updateData.url = url;
     if (category) updateData.category = category;
 
-    await db.ref('videos/' + id).update(updateData);
+    await storage.update('videos', id, updateData);
 
     res.json({
       status: 'success',
@@ -242,32 +203,23 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete video (Admin only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Delete video (Editors and moderators)
+router.delete('/:id', authenticateToken, requireRole('editor', 'moderator'), validate({
+  params: { id: rules.id }
+}), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if video exists
-    const videoSnapshot = await db.ref('videos/' + id).once('value');
-    if (!videoSnapshot.exists()) {
+    const video = await storage.get('videos', id);
+    if (!video) {
       return res.status(404).json({
         status: 'error',
         message: 'Video not found'
       });
     }
 
-    // Check if user is admin
-    const userSnapshot = await db.ref('users/' + req.user.uid).once('value');
-    const userData = userSnapshot.val();
-
-    if (!userData || !userData.isAdmin) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Admin access required'
-      });
-    }
-
-    await db.ref('videos/' + id).remove();
+    await storage.remove('videos', id);
 
     res.json({
       status: 'success',
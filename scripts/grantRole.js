@@ -0,0 +1,57 @@
+// Grant a role to a registered user from the command line, e.g. to make the
+// first admin (after that, admins use POST /admin/users/:uid/roles).
+//
+//   node scripts/grantRole.js <email> [role]     role defaults to admin
+require('dotenv').config();
+const storage = require('../storage');
+const { getUserRoles, ROLES } = require('../middleware/auth');
+
+async function main() {
+  const [rawEmail, role = 'admin'] = process.argv.slice(2);
+
+  if (!rawEmail) {
+    console.error(`Usage: node scripts/grantRole.js <email> [${ROLES.join('|')}]`);
+    return 1;
+  }
+  if (!ROLES.includes(role)) {
+    console.error(`Unknown role "${role}"; expected one of ${ROLES.join(', ')}`);
+    return 1;
+  }
+
+  const email = rawEmail.trim().toLowerCase();
+  const [user] = await storage.list('users', { where: { email } });
+  if (!user) {
+    console.error(`No registered user with email ${email}`);
+    return 1;
+  }
+
+  const roles = getUserRoles(user);
+  if (roles.includes(role)) {
+    console.log(`${email} already has the ${role} role`);
+    return 0;
+  }
+
+  roles.push(role);
+  await storage.update('users', user.id, {
+    roles,
+    isAdmin: roles.includes('admin'),
+    updatedAt: new Date().toISOString()
+  });
+  await storage.push('audit_log', {
+    action: 'role.grant',
+    actor: 'cli',
+    target: user.id,
+    role,
+    createdAt: new Date().toISOString()
+  });
+  console.log(`✅ Granted ${role} to ${email} (${user.id})`);
+  return 0;
+}
+
+// Exit explicitly: the Firebase and SQLite connections would keep the process alive
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('❌ Grant failed:', error.message);
+    process.exit(1);
+  });
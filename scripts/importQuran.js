@@ -0,0 +1,103 @@
+// Load a Quran text or translation into the local SQLite store.
+//
+//   node scripts/importQuran.js <file> --edition quran-uthmani [--language ar]
+//     [--name "..."] [--english-name "..."] [--type quran|translation|tafsir] [--direction rtl]
+//
+// Accepted files:
+//   .txt   Tanzil "text with aya numbers" (one `surah|ayah|text` per line, # comments)
+//   .json  an alquran.cloud edition dump (GET /v1/quran/<edition>), which also
+//          carries the edition details and juz/page numbers
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../config/sqlite');
+const quranStore = require('../services/quranStore');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+      args[key] = argv[i + 1];
+      i += 1;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function parseTanzil(content) {
+  return content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.startsWith('#'))
+    .map((line, index) => {
+      const [surahField, ayahField, ...text] = line.split('|');
+      const surah = Number(surahField);
+      const ayah = Number(ayahField);
+      if (!text.length || !Number.isInteger(surah) || !Number.isInteger(ayah)) {
+        throw new Error(`Line ${index + 1} is not in surah|ayah|text format`);
+      }
+      return { surah, ayah, text: text.join('|').trim() };
+    });
+}
+
+function parseAlquranCloud(content) {
+  const json = JSON.parse(content);
+  const data = json.data || json;
+  if (!Array.isArray(data.surahs)) throw new Error('JSON file has no surahs array');
+
+  const ayahs = [];
+  data.surahs.forEach((surah) => {
+    surah.ayahs.forEach((ayah) => {
+      ayahs.push({
+        surah: surah.number,
+        ayah: ayah.numberInSurah,
+        text: ayah.text,
+        juz: ayah.juz,
+        page: ayah.page
+      });
+    });
+  });
+  return { ayahs, edition: data.edition || {} };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [file] = args._;
+
+  if (!file) {
+    console.error('Usage: node scripts/importQuran.js <file> --edition <identifier> [--language ar] [--type quran]');
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(file, 'utf8').replace(/^﻿/, '');
+  const parsed = path.extname(file).toLowerCase() === '.json'
+    ? parseAlquranCloud(content)
+    : { ayahs: parseTanzil(content), edition: {} };
+
+  const edition = {
+    ...parsed.edition,
+    ...(args.edition && { identifier: args.edition }),
+    ...(args.language && { language: args.language }),
+    ...(args.name && { name: args.name }),
+    ...(args.englishName && { englishName: args.englishName }),
+    ...(args.type && { type: args.type }),
+    ...(args.direction && { direction: args.direction })
+  };
+
+  if (!edition.identifier || !edition.language) {
+    console.error('--edition and --language are required unless the JSON file provides them');
+    process.exit(1);
+  }
+
+  const count = await quranStore.importEdition(edition, parsed.ayahs);
+  console.log(`✅ Imported ${count} ayahs into edition ${edition.identifier}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
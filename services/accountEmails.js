@@ -0,0 +1,68 @@
+const { run, get, addColumnIfMissing } = require('../config/sqlite');
+const { API_VERSION, PUBLIC_URL, APP_URL } = require('../config/app');
+const { sendMail } = require('./mailer');
+const { createOneTimeToken } = require('./oneTimeTokens');
+
+// Password reset and email verification mails for the SQLite auth
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '60', 10);
+const VERIFY_TOKEN_TTL_MINUTES = parseInt(process.env.VERIFY_TOKEN_TTL_MINUTES || String(24 * 60), 10);
+
+// Real mail with localhost links in it is no use to anyone
+if ((process.env.MAIL_TRANSPORT || '').trim().toLowerCase() === 'smtp' && !process.env.PUBLIC_URL) {
+  throw new Error('PUBLIC_URL must be set to this API\'s public origin when MAIL_TRANSPORT is smtp');
+}
+
+addColumnIfMissing('users', 'email_verified', 'INTEGER NOT NULL DEFAULT 0')
+  .then(() => addColumnIfMissing('users', 'email_verified_at', 'TEXT'))
+  .catch((err) => {
+    console.error('Migrate users.email_verified error:', err);
+  });
+
+async function sendVerificationEmail(user) {
+  const token = await createOneTimeToken(user.id, 'email_verify', VERIFY_TOKEN_TTL_MINUTES);
+  const link = `${PUBLIC_URL}/api/${API_VERSION}/auth/email/verify?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Assalamu alaikum${user.name ? ' ' + user.name : ''},\n\n` +
+      `Please confirm your email address by opening this link:\n${link}\n\n` +
+      `Or use this code in the app: ${token}\n\n` +
+      `The link expires in ${Math.round(VERIFY_TOKEN_TTL_MINUTES / 60)} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createOneTimeToken(user.id, 'password_reset', RESET_TOKEN_TTL_MINUTES);
+  const link = APP_URL && `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password for this account.\n\n` +
+      (link
+        ? `Open this link to choose a new password:\n${link}\n\nOr use this code in the app: ${token}\n\n`
+        : `Use this code in the app to choose a new password: ${token}\n\n`) +
+      `It expires in ${RESET_TOKEN_TTL_MINUTES} minutes. ` +
+      `If you didn't ask for this, you can ignore this email.`
+  });
+}
+
+async function markEmailVerified(userId) {
+  await run('UPDATE users SET email_verified = 1, email_verified_at = ? WHERE id = ?', [
+    new Date().toISOString(),
+    userId
+  ]);
+}
+
+async function isEmailVerified(userId) {
+  const row = await get('SELECT email_verified FROM users WHERE id = ?', [userId]);
+  return Boolean(row && row.email_verified);
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  markEmailVerified,
+  isEmailVerified
+};
@@ -0,0 +1,75 @@
+// Arabic text normalization and stemming for search.
+
+const ARABIC_LETTERS = /[\u0621-\u064A\u0671]/;
+
+// Harakat, Quranic annotation marks (small high letters, stop signs) and tatweel
+const MARKS = /[\u0610-\u061A\u064B-\u065F\u06D6-\u06ED\u0640]/g;
+const SUPERSCRIPT_ALIF = /\u0670/g;
+
+const isArabic = (text) => ARABIC_LETTERS.test(text);
+
+// Spelling variants folded together: alif forms, hamza seats, alif maqsura
+// and ta marbuta. `superscriptAlif` chooses what the Uthmani dagger alif
+// becomes: dropped ("الرحمن") or written out ("العالمين").
+function normalizeArabic(text, { superscriptAlif = false } = {}) {
+  return text
+    .replace(SUPERSCRIPT_ALIF, superscriptAlif ? 'ا' : '')
+    .replace(MARKS, '')
+    .replace(/[\u0622\u0623\u0625\u0671]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه');
+}
+
+// Clitics, longest first. A word keeps at least 3 letters, or 4 when the
+// affix is a single letter (which is as often part of the word).
+const PREFIXES = ['وال', 'فال', 'بال', 'كال', 'ولل', 'فلل', 'ال', 'لل', 'وب', 'ول', 'فب', 'فل', 'و', 'ف', 'ب', 'ك', 'ل', 'س'];
+const SUFFIXES = [
+  'كما', 'هما', 'تما', 'تين', 'تان', 'ات', 'ون', 'ين', 'ان', 'وا', 'ها', 'هم', 'هن', 'كم', 'كن', 'نا', 'ني', 'تم',
+  'ه', 'ي', 'ك', 'ت', 'ا', 'ن'
+];
+
+function stripAffix(word, affixes, atStart) {
+  const affix = affixes.find((candidate) => word.length - candidate.length >= (candidate.length === 1 ? 4 : 3)
+    && (atStart ? word.startsWith(candidate) : word.endsWith(candidate)));
+  if (!affix) return word;
+  return atStart ? word.slice(affix.length) : word.slice(0, -affix.length);
+}
+
+// The name of Allah with its particles (لله, والله, بالله, تالله ...)
+const ALLAH = /^[وفبت]?(ال|ل)?له$/;
+
+// A normalized word without its attached particles and pronouns
+function lightStem(word) {
+  if (ALLAH.test(word)) return 'الله';
+  return stripAffix(stripAffix(word, SUFFIXES, false), PREFIXES, true);
+}
+
+// Approximate triliteral root: the light stem with pattern letters removed
+// (the derivational prefixes م ت ا ي ن س, then long vowels inside the word).
+// Heuristic, like any root extractor without a lexicon, but enough to bring
+// كتاب, كتبوا and مكتوب together.
+function arabicRoot(word) {
+  if (ALLAH.test(word)) return 'اله';
+
+  let stem = lightStem(word);
+  while (stem.length > 3) {
+    const inner = stem.slice(1, -1).search(/[اوي]/);
+    if ('متاينس'.includes(stem[0])) {
+      stem = stem.slice(1);
+    } else if (inner !== -1) {
+      stem = stem.slice(0, inner + 1) + stem.slice(inner + 2);
+    } else {
+      break;
+    }
+  }
+  return stem;
+}
+
+module.exports = {
+  isArabic,
+  normalizeArabic,
+  lightStem,
+  arabicRoot
+};
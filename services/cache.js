@@ -0,0 +1,154 @@
+const { db, run, get } = require('../config/sqlite');
+
+// Shared cache for upstream API responses (alquran.cloud, aladhan.com).
+// CACHE_BACKEND=memory keeps an LRU per process; sqlite survives restarts
+// and is shared by instances using the same database file.
+//
+// Every backend exposes get(key), set(key, value, ttlSeconds), purge(prefix), stats().
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10);
+
+const DAY = 24 * 60 * 60;
+
+// TTL (seconds) per kind of upstream data
+const CACHE_TTLS = {
+  // Quran text and surah metadata never change
+  quran: parseInt(process.env.CACHE_TTL_QURAN || String(30 * DAY), 10),
+  // Keys include the date, so a day's timings can be kept until the day is over
+  prayerTimes: parseInt(process.env.CACHE_TTL_PRAYER_TIMES || String(DAY), 10)
+};
+
+function createMemoryBackend() {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        misses += 1;
+        return undefined;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      hits += 1;
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > CACHE_MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async purge(prefix = '') {
+      let removed = 0;
+      [...entries.keys()].forEach((key) => {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed += 1;
+        }
+      });
+      return removed;
+    },
+
+    async stats() {
+      return { backend: 'memory', entries: entries.size, maxEntries: CACHE_MAX_ENTRIES, hits, misses };
+    }
+  };
+}
+
+function createSqliteBackend() {
+  let hits = 0;
+  let misses = 0;
+
+  db.run(
+    `CREATE TABLE IF NOT EXISTS cache_entries (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    )`,
+    (err) => {
+      if (err) console.error('Create cache_entries table error:', err);
+    }
+  );
+
+  setInterval(() => {
+    run('DELETE FROM cache_entries WHERE expires_at <= ?', [Date.now()]).catch((err) => {
+      console.error('Prune cache_entries error:', err);
+    });
+  }, 10 * 60 * 1000).unref();
+
+  return {
+    async get(key) {
+      const row = await get('SELECT value FROM cache_entries WHERE key = ? AND expires_at > ?', [
+        key,
+        Date.now()
+      ]);
+      if (!row) {
+        misses += 1;
+        return undefined;
+      }
+      hits += 1;
+      return JSON.parse(row.value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await run('INSERT OR REPLACE INTO cache_entries (key, value, expires_at) VALUES (?, ?, ?)', [
+        key,
+        JSON.stringify(value),
+        Date.now() + ttlSeconds * 1000
+      ]);
+    },
+
+    async purge(prefix = '') {
+      // Escape LIKE wildcards so the prefix is matched literally
+      const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+      const result = await run("DELETE FROM cache_entries WHERE key LIKE ? ESCAPE '\\'", [pattern]);
+      return result.changes;
+    },
+
+    async stats() {
+      const row = await get('SELECT COUNT(*) AS entries FROM cache_entries WHERE expires_at > ?', [Date.now()]);
+      return { backend: 'sqlite', entries: row.entries, hits, misses };
+    }
+  };
+}
+
+const backends = {
+  memory: createMemoryBackend,
+  sqlite: createSqliteBackend
+};
+
+if (!backends[CACHE_BACKEND]) {
+  throw new Error(`Unknown CACHE_BACKEND "${CACHE_BACKEND}"`);
+}
+
+const cache = backends[CACHE_BACKEND]();
+
+// Return the cached value for key, or run loader and cache its result.
+// A cache failure falls through to the loader rather than failing the request.
+cache.wrap = async (key, ttlSeconds, loader) => {
+  let value;
+  try {
+    value = await cache.get(key);
+  } catch (error) {
+    console.error('Cache read error:', error);
+  }
+  if (value !== undefined) return { value, hit: true };
+
+  value = await loader();
+  if (value !== undefined && value !== null) {
+    cache.set(key, value, ttlSeconds).catch((error) => {
+      console.error('Cache write error:', error);
+    });
+  }
+  return { value, hit: false };
+};
+
+module.exports = { cache, CACHE_TTLS };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+
+// Push device tokens. The document id is derived from the token, so
+// registering the same device again (even for another account) replaces it.
+const PLATFORMS = ['android', 'ios', 'web'];
+
+const deviceId = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+
+// What we show the owner: never the full token
+function toPublic(device) {
+  return {
+    id: device.id,
+    platform: device.platform,
+    token: `…${device.token.slice(-8)}`,
+    createdAt: device.createdAt,
+    updatedAt: device.updatedAt
+  };
+}
+
+async function registerDevice(userId, token, platform) {
+  const id = deviceId(token);
+  const existing = await storage.get('push_devices', id);
+  const now = new Date().toISOString();
+  const device = {
+    userId,
+    token,
+    platform,
+    createdAt: existing && existing.userId === userId ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await storage.set('push_devices', id, device);
+  return toPublic({ id, ...device });
+}
+
+async function listDevices(userId) {
+  const devices = await storage.list('push_devices', { orderBy: 'createdAt', where: { userId } });
+  return devices.map(toPublic);
+}
+
+// false when the device isn't the user's
+async function removeDevice(userId, id) {
+  const device = await storage.get('push_devices', id);
+  if (!device || device.userId !== userId) return false;
+  await storage.remove('push_devices', id);
+  return true;
+}
+
+async function tokensFor(userId) {
+  const devices = await storage.list('push_devices', { where: { userId } });
+  return devices.map((device) => device.token);
+}
+
+async function forgetTokens(tokens) {
+  await Promise.all(tokens.map((token) => storage.remove('push_devices', deviceId(token))));
+}
+
+module.exports = {
+  PLATFORMS,
+  registerDevice,
+  listDevices,
+  removeDevice,
+  tokensFor,
+  forgetTokens
+};
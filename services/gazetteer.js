@@ -0,0 +1,189 @@
+const { cityMapping } = require('city-timezones');
+const { ALTERNATE_NAMES, EXTRA_CITIES, COUNTRY_ALIASES } = require('../config/cities');
+
+// Offline city lookup for prayer times: ~7,300 cities with coordinates and
+// IANA timezones, plus the curated additions in config/cities.js.
+
+// One city with a population this many times larger than the next match wins
+// instead of the lookup being reported as ambiguous
+const DOMINANT_POPULATION_RATIO = 10;
+const MAX_CANDIDATES = 10;
+
+// Lowercase, no diacritics or punctuation: "São Paulo" -> "sao paulo"
+function normalize(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const slug = (value) => normalize(value).replace(/ /g, '-');
+
+let index = null;
+
+// Built on first use; ids are stable slugs like "springfield-us-illinois"
+function loadIndex() {
+  if (index) return index;
+
+  const countries = {};
+  const rows = cityMapping
+    .filter((row) => row.timezone)
+    .map((row) => ({
+      name: row.city,
+      asciiName: row.city_ascii,
+      province: row.province || '',
+      country: row.country,
+      countryCode: row.iso2,
+      countryCode3: row.iso3,
+      latitude: row.lat,
+      longitude: row.lng,
+      timezone: row.timezone,
+      population: Math.round(row.pop || 0)
+    }));
+
+  EXTRA_CITIES.forEach(([name, countryCode, province, latitude, longitude, timezone, population]) => {
+    const sample = rows.find((row) => row.countryCode === countryCode);
+    rows.push({
+      name,
+      asciiName: name,
+      province,
+      country: sample ? sample.country : countryCode,
+      countryCode,
+      countryCode3: sample ? sample.countryCode3 : '',
+      latitude,
+      longitude,
+      timezone,
+      population
+    });
+  });
+
+  const entries = rows.map((row) => {
+    countries[normalize(row.country)] = row.countryCode;
+    countries[normalize(row.countryCode)] = row.countryCode;
+    if (row.countryCode3) countries[normalize(row.countryCode3)] = row.countryCode;
+
+    const alternateNames = ALTERNATE_NAMES[`${row.asciiName}|${row.countryCode}`] || [];
+    const names = [...new Set([row.name, row.asciiName, ...alternateNames].map(normalize))];
+    return {
+      ...row,
+      id: [row.asciiName, row.countryCode, row.province].filter(Boolean).map(slug).join('-'),
+      alternateNames,
+      names
+    };
+  });
+
+  Object.entries(COUNTRY_ALIASES).forEach(([alias, code]) => {
+    countries[normalize(alias)] = code;
+  });
+
+  index = {
+    entries,
+    countries,
+    byId: new Map(entries.map((entry) => [entry.id, entry]))
+  };
+  return index;
+}
+
+// ISO code for a country name/code/alias, or null if unknown
+function countryCode(country) {
+  return loadIndex().countries[normalize(country)] || null;
+}
+
+// Edit distance, giving up (Infinity) once it must exceed `max`
+function levenshtein(a, b, max) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return Infinity;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos tolerated for a query of this length
+const allowedTypos = (query) => (query.length < 4 ? 0 : query.length < 8 ? 1 : 2);
+
+// How well a normalized query matches one name (0 = no match)
+function matchScore(query, name) {
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 80;
+  if (name.split(' ').some((word) => word.startsWith(query))) return 70;
+  if (query.length >= 3 && name.includes(query)) return 60;
+
+  const typos = allowedTypos(query);
+  if (!typos) return 0;
+  // Compare against the whole name and against a prefix of the query's length,
+  // so partial input with a typo still autocompletes
+  const distance = Math.min(
+    Math.abs(name.length - query.length) <= typos ? levenshtein(query, name, typos) : Infinity,
+    name.length > query.length ? levenshtein(query, name.slice(0, query.length), typos) : Infinity
+  );
+  return distance <= typos ? 50 - distance * 10 : 0;
+}
+
+function publicEntry({ names, ...entry }) {
+  return entry;
+}
+
+// Ranked fuzzy matches; bigger cities win ties
+function searchCities(query, { country, limit = MAX_CANDIDATES } = {}) {
+  const { entries } = loadIndex();
+  const needle = normalize(query);
+  if (!needle) return [];
+
+  const code = country ? countryCode(country) : null;
+  if (country && !code) return [];
+
+  const scored = [];
+  entries.forEach((entry) => {
+    if (code && entry.countryCode !== code) return;
+    const score = Math.max(...entry.names.map((name) => matchScore(needle, name)));
+    if (score) scored.push({ entry, score });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || b.entry.population - a.entry.population)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({ ...publicEntry(entry), score }));
+}
+
+function findById(id) {
+  const entry = loadIndex().byId.get(id);
+  return entry ? publicEntry(entry) : null;
+}
+
+// Resolve free text to one city. Exact names win; otherwise a single closest
+// fuzzy match. Returns { city }, { candidates } when ambiguous, or {} when
+// nothing matches.
+function resolveCity(city, country) {
+  const matches = searchCities(city, { country, limit: MAX_CANDIDATES + 1 });
+  if (!matches.length) return {};
+
+  const strip = ({ score, ...entry }) => entry;
+  const best = matches[0].score;
+  const top = matches.filter((match) => match.score === best);
+  const strong = best >= 100 || best <= 50;
+
+  if (strong && (top.length === 1 || top[0].population >= top[1].population * DOMINANT_POPULATION_RATIO)) {
+    return { city: strip(top[0]) };
+  }
+
+  return { candidates: (strong ? top : matches).slice(0, MAX_CANDIDATES).map(strip) };
+}
+
+module.exports = {
+  normalize,
+  countryCode,
+  searchCities,
+  resolveCity,
+  findById
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const { AYAH_COUNT, SURAH_COUNT, surahInfo, ayahCount } = require('../config/quranMeta');
+const { addDays, daysBetween } = require('./prayerTimes');
+
+// Hifz (memorization) tracker.
+//
+// A memorized range of one surah is a portion ('hifz_portions'). Each
+// revision is logged in 'hifz_revisions' with a self-rated quality from 0
+// (forgotten) to 5 (perfect) and reschedules the portion SM-2 style: good
+// revisions stretch the gap to the next one, weak ones bring the portion
+// back the next day and lower its ease, so weak portions come up more often.
+//
+// Teachers hand out a class code ('hifz_class_codes', keyed by the code);
+// students who join with it are linked in 'hifz_links' ("<teacher>:<student>").
+const MAX_INTERVAL_DAYS = parseInt(process.env.HIFZ_MAX_INTERVAL_DAYS || '60', 10);
+const CLASS_CODE_TTL_DAYS = parseInt(process.env.HIFZ_CLASS_CODE_TTL_DAYS || '14', 10);
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_QUALITY = 3;
+// Ease below this, or a failed last revision, marks a portion as weak
+const WEAK_EASE = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function portionView(portion, today) {
+  const { name, englishName } = surahInfo(portion.surah);
+  return {
+    id: portion.id,
+    surah: { number: portion.surah, name, englishName },
+    fromAyah: portion.fromAyah,
+    toAyah: portion.toAyah,
+    ayahCount: portion.toAyah - portion.fromAyah + 1,
+    memorizedOn: portion.memorizedOn,
+    ease: Math.round(portion.ease * 100) / 100,
+    interval: portion.interval,
+    repetitions: portion.repetitions,
+    lapses: portion.lapses,
+    reviews: portion.reviews,
+    lastQuality: portion.lastQuality,
+    lastRevisedOn: portion.lastRevisedOn,
+    dueDate: portion.dueDate,
+    overdueDays: Math.max(0, daysBetween(portion.dueDate, today)),
+    weak: portion.ease < WEAK_EASE || (portion.lastQuality !== null && portion.lastQuality < PASSING_QUALITY)
+  };
+}
+
+async function loadPortions(userId) {
+  return storage.list('hifz_portions', { orderBy: 'createdAt', where: { userId } });
+}
+
+// In mushaf order, optionally within one surah
+async function listPortions(userId, today, surah) {
+  const portions = await loadPortions(userId);
+  return portions
+    .filter((portion) => !surah || portion.surah === surah)
+    .sort((a, b) => a.surah - b.surah || a.fromAyah - b.fromAyah)
+    .map((portion) => portionView(portion, today));
+}
+
+// null when the portion isn't the user's
+async function getPortion(userId, id) {
+  const portion = await storage.get('hifz_portions', id);
+  return portion && portion.userId === userId ? portion : null;
+}
+
+// Resolves to 'overlap' when part of the range is already recorded. A new
+// portion is first revised the day after it was memorized.
+async function addPortion(userId, { surah, fromAyah, toAyah, memorizedOn }, today) {
+  const portions = await loadPortions(userId);
+  if (portions.some((portion) => portion.surah === surah && fromAyah <= portion.toAyah && toAyah >= portion.fromAyah)) {
+    return 'overlap';
+  }
+
+  const portion = {
+    userId,
+    surah,
+    fromAyah,
+    toAyah,
+    memorizedOn,
+    ease: INITIAL_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    reviews: 0,
+    lastQuality: null,
+    lastRevisedOn: null,
+    dueDate: addDays(memorizedOn, 1),
+    createdAt: new Date().toISOString()
+  };
+  portion.id = await storage.push('hifz_portions', portion);
+  return portionView(portion, today);
+}
+
+async function removePortion(userId, id) {
+  if (!await getPortion(userId, id)) return false;
+  await storage.remove('hifz_portions', id);
+  const revisions = await storage.list('hifz_revisions', { orderBy: 'createdAt', where: { portionId: id } });
+  await Promise.all(revisions.map((revision) => storage.remove('hifz_revisions', revision.id)));
+  return true;
+}
+
+// SM-2 with the interval capped, since a memorized portion shouldn't go
+// untouched for months
+function reschedule(portion, quality, date) {
+  const next = { ...portion };
+  if (quality < PASSING_QUALITY) {
+    next.repetitions = 0;
+    next.interval = 1;
+    next.lapses += 1;
+  } else {
+    next.repetitions += 1;
+    if (next.repetitions === 1) next.interval = 1;
+    else if (next.repetitions === 2) next.interval = 3;
+    else next.interval = Math.round(next.interval * next.ease);
+  }
+  next.interval = Math.min(next.interval, MAX_INTERVAL_DAYS);
+  next.ease = Math.max(MIN_EASE, next.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  next.reviews += 1;
+  next.lastQuality = quality;
+  next.lastRevisedOn = date;
+  next.dueDate = addDays(date, next.interval);
+  return next;
+}
+
+const revisionView = ({ userId: _owner, ...revision }) => revision;
+
+// Log a revision of one portion and reschedule it; null for unknown portions
+async function logRevision(userId, portionId, { quality, date, mistakes, durationMinutes, notes }, today) {
+  const portion = await getPortion(userId, portionId);
+  if (!portion) return null;
+
+  const updated = reschedule(portion, quality, date);
+  const { id, ...fields } = updated;
+  await storage.set('hifz_portions', id, fields);
+
+  const revision = {
+    userId,
+    portionId,
+    date,
+    quality,
+    mistakes,
+    durationMinutes,
+    notes,
+    createdAt: new Date().toISOString()
+  };
+  const revisionId = await storage.push('hifz_revisions', revision);
+  return { revision: revisionView({ id: revisionId, ...revision }), portion: portionView(updated, today) };
+}
+
+// Newest first, of one portion or all of them
+async function listRevisions(userId, { portionId, limit }) {
+  const revisions = await storage.list('hifz_revisions', { orderBy: 'createdAt', where: { userId } });
+  return revisions
+    .filter((revision) => !portionId || revision.portionId === portionId)
+    .reverse()
+    .slice(0, limit)
+    .map(revisionView);
+}
+
+// Portions due on `today` or overdue, most overdue first and the weakest
+// ahead of equally overdue ones, plus how many fall due in the next week
+async function revisionQueue(userId, today, limit) {
+  const portions = (await loadPortions(userId)).map((portion) => portionView(portion, today));
+  const due = portions
+    .filter((portion) => portion.dueDate <= today)
+    .sort((a, b) => b.overdueDays - a.overdueDays || a.ease - b.ease || a.surah.number - b.surah.number);
+  const nextWeek = addDays(today, 7);
+
+  return {
+    date: today,
+    due: due.length,
+    dueAyahs: due.reduce((sum, portion) => sum + portion.ayahCount, 0),
+    items: due.slice(0, limit),
+    upcoming: portions.filter((portion) => portion.dueDate > today && portion.dueDate <= nextWeek).length
+  };
+}
+
+// Overall progress: what is memorized, how well it is held and recent revision
+async function hifzSummary(userId, today) {
+  const [portions, revisions] = await Promise.all([
+    loadPortions(userId),
+    storage.list('hifz_revisions', { orderBy: 'createdAt', where: { userId } })
+  ]);
+  const views = portions.map((portion) => portionView(portion, today));
+  const ayahs = views.reduce((sum, portion) => sum + portion.ayahCount, 0);
+
+  const surahsComplete = [];
+  for (let surah = 1; surah <= SURAH_COUNT; surah += 1) {
+    const memorized = views
+      .filter((portion) => portion.surah.number === surah)
+      .reduce((sum, portion) => sum + portion.ayahCount, 0);
+    if (memorized === ayahCount(surah)) surahsComplete.push(surah);
+  }
+
+  const since = (days) => revisions.filter((revision) => revision.date > addDays(today, -days));
+  const lastMonth = since(30);
+
+  return {
+    portions: views.length,
+    ayahs,
+    percentOfQuran: Math.round((ayahs / AYAH_COUNT) * 1000) / 10,
+    surahsComplete,
+    due: views.filter((portion) => portion.dueDate <= today).length,
+    weak: views.filter((portion) => portion.weak).length,
+    revisionsLast7Days: since(7).length,
+    averageQualityLast30Days: lastMonth.length
+      ? Math.round((lastMonth.reduce((sum, revision) => sum + revision.quality, 0) / lastMonth.length) * 10) / 10
+      : null
+  };
+}
+
+// A new class code for a teacher; the previous one stops working
+async function createClassCode(teacherId, teacherName) {
+  const teacher = await storage.get('hifz_teachers', teacherId);
+  if (teacher && teacher.code) await storage.remove('hifz_class_codes', teacher.code);
+
+  const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+  const expiresAt = new Date(Date.now() + CLASS_CODE_TTL_DAYS * DAY_MS).toISOString();
+  await storage.set('hifz_class_codes', code, { teacherId, teacherName, expiresAt });
+  await storage.set('hifz_teachers', teacherId, { code, updatedAt: new Date().toISOString() });
+  return { code, expiresAt };
+}
+
+// Link a student to the teacher whose code it is. Resolves to 'invalid'
+// (unknown or expired code), 'self' or the link.
+async function joinClass(studentId, studentName, code) {
+  const classCode = await storage.get('hifz_class_codes', code.toUpperCase());
+  if (!classCode || classCode.expiresAt <= new Date().toISOString()) return 'invalid';
+  if (classCode.teacherId === studentId) return 'self';
+
+  const link = {
+    teacherId: classCode.teacherId,
+    teacherName: classCode.teacherName,
+    studentId,
+    studentName,
+    joinedAt: new Date().toISOString()
+  };
+  await storage.set('hifz_links', `${classCode.teacherId}:${studentId}`, link);
+  return link;
+}
+
+async function listTeachers(studentId) {
+  const links = await storage.list('hifz_links', { orderBy: 'joinedAt', where: { studentId } });
+  return links.map(({ teacherId, teacherName, joinedAt }) => ({ teacherId, teacherName, joinedAt }));
+}
+
+async function listStudents(teacherId) {
+  return storage.list('hifz_links', { orderBy: 'joinedAt', where: { teacherId } });
+}
+
+// null unless the student joined this teacher's class
+async function getLink(teacherId, studentId) {
+  return storage.get('hifz_links', `${teacherId}:${studentId}`);
+}
+
+async function removeLink(teacherId, studentId) {
+  if (!await getLink(teacherId, studentId)) return false;
+  await storage.remove('hifz_links', `${teacherId}:${studentId}`);
+  return true;
+}
+
+module.exports = {
+  INITIAL_EASE,
+  MAX_INTERVAL_DAYS,
+  reschedule,
+  listPortions,
+  getPortion,
+  addPortion,
+  removePortion,
+  logRevision,
+  listRevisions,
+  revisionQueue,
+  hifzSummary,
+  createClassCode,
+  joinClass,
+  listTeachers,
+  listStudents,
+  getLink,
+  removeLink
+};
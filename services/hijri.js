@@ -0,0 +1,149 @@
+const {
+  UMM_AL_QURA_FIRST_YEAR,
+  UMM_AL_QURA_EPOCH,
+  UMM_AL_QURA_MONTH_LENGTHS,
+  HIJRI_MONTHS,
+  ISLAMIC_EVENTS
+} = require('../config/hijriCalendar');
+const { isoDate } = require('./prayerTimes');
+
+// Gregorian <-> Hijri conversion. Dates inside the Umm al-Qura table
+// (1356-1500 AH) use it; anything else falls back to the tabular (arithmetic)
+// Islamic calendar, which can be a day or two off the sighted one.
+// `adjustment` shifts the Hijri date by whole days, for users whose local
+// moon sighting differs: +1 means the Hijri date is one day later.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since 1970-01-01
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+function fromDayNumber(n) {
+  const date = new Date(n * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// First day of each Umm al-Qura month, plus the day after the table ends
+const MONTH_STARTS = (() => {
+  const [year, month, day] = UMM_AL_QURA_EPOCH.split('-').map((part) => parseInt(part, 10));
+  const starts = [dayNumber({ year, month, day })];
+  UMM_AL_QURA_MONTH_LENGTHS.forEach((length) => starts.push(starts[starts.length - 1] + length));
+  return starts;
+})();
+const UMM_AL_QURA_LAST_YEAR = UMM_AL_QURA_FIRST_YEAR + UMM_AL_QURA_MONTH_LENGTHS.length / 12 - 1;
+
+// Tabular calendar, civil epoch (1 Muharram 1 AH = 16 July 622 Julian)
+const TABULAR_EPOCH = -492148;
+const tabularLeap = (year) => (14 + 11 * year) % 30 < 11;
+const tabularDay = ({ year, month, day }) => day + Math.ceil(29.5 * (month - 1))
+  + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH - 1;
+
+function tabularDate(n) {
+  const year = Math.floor((30 * (n - TABULAR_EPOCH) + 10646) / 10631);
+  const month = Math.min(12, Math.ceil((n - (29 + tabularDay({ year, month: 1, day: 1 }))) / 29.5) + 1);
+  return { year, month, day: n - tabularDay({ year, month, day: 1 }) + 1 };
+}
+
+const inTable = (year) => year >= UMM_AL_QURA_FIRST_YEAR && year <= UMM_AL_QURA_LAST_YEAR;
+const calendarFor = (year) => (inTable(year) ? 'umm-al-qura' : 'tabular');
+
+function hijriMonthLength(year, month) {
+  if (inTable(year)) return UMM_AL_QURA_MONTH_LENGTHS[(year - UMM_AL_QURA_FIRST_YEAR) * 12 + month - 1];
+  if (month === 12) return tabularLeap(year) ? 30 : 29;
+  return month % 2 ? 30 : 29;
+}
+
+// { year, month, day } Gregorian -> Hijri
+function toHijri(date, adjustment = 0) {
+  const n = dayNumber(date) + adjustment;
+  if (n < MONTH_STARTS[0] || n >= MONTH_STARTS[MONTH_STARTS.length - 1]) {
+    return { ...tabularDate(n), calendar: 'tabular' };
+  }
+
+  // Last month starting on or before n
+  let low = 0;
+  let high = MONTH_STARTS.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (MONTH_STARTS[mid] <= n) low = mid;
+    else high = mid - 1;
+  }
+  return {
+    year: UMM_AL_QURA_FIRST_YEAR + Math.floor(low / 12),
+    month: (low % 12) + 1,
+    day: n - MONTH_STARTS[low] + 1,
+    calendar: 'umm-al-qura'
+  };
+}
+
+// { year, month, day } Hijri -> Gregorian; null if the day doesn't exist
+function toGregorian(hijri, adjustment = 0) {
+  const { year, month, day } = hijri;
+  if (year < 1 || month < 1 || month > 12 || day < 1 || day > hijriMonthLength(year, month)) return null;
+
+  const n = inTable(year)
+    ? MONTH_STARTS[(year - UMM_AL_QURA_FIRST_YEAR) * 12 + month - 1] + day - 1
+    : tabularDay(hijri);
+  return fromDayNumber(n - adjustment);
+}
+
+function formatHijri({ year, month, day, calendar = calendarFor(year) }) {
+  const [monthName, monthNameArabic] = HIJRI_MONTHS[month - 1];
+  return {
+    date: isoDate({ year, month, day }),
+    year,
+    month,
+    day,
+    monthName,
+    monthNameArabic,
+    readable: `${day} ${monthName} ${year} AH`,
+    calendar
+  };
+}
+
+// Formatted Hijri date for a Gregorian { year, month, day }
+function hijriDate(date, adjustment = 0) {
+  return formatHijri(toHijri(date, adjustment));
+}
+
+// Observances in a Gregorian year (by start date) or a whole Hijri year
+function islamicEvents({ year, calendar = 'gregorian', adjustment = 0 }) {
+  const hijriYears = calendar === 'hijri'
+    ? [year]
+    : [toHijri({ year, month: 1, day: 1 }, adjustment).year, toHijri({ year, month: 12, day: 31 }, adjustment).year];
+  const events = [];
+
+  for (let hijriYear = hijriYears[0]; hijriYear <= hijriYears[hijriYears.length - 1]; hijriYear += 1) {
+    ISLAMIC_EVENTS.forEach((event) => {
+      const hijri = { year: hijriYear, month: event.month, day: event.day };
+      const start = toGregorian(hijri, adjustment);
+      if (!start || (calendar !== 'hijri' && start.year !== year)) return;
+
+      const days = event.untilMonthEnd
+        ? hijriMonthLength(hijriYear, event.month) - event.day + 1
+        : event.days || 1;
+      const first = dayNumber(start);
+
+      events.push({
+        id: event.id,
+        name: event.name,
+        date: isoDate(start),
+        endDate: days > 1 ? isoDate(fromDayNumber(first + days - 1)) : undefined,
+        eveningOf: event.night ? isoDate(fromDayNumber(first - 1)) : undefined,
+        hijri: formatHijri(hijri)
+      });
+    });
+  }
+
+  return events.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+module.exports = {
+  UMM_AL_QURA_FIRST_YEAR,
+  UMM_AL_QURA_LAST_YEAR,
+  toHijri,
+  toGregorian,
+  hijriMonthLength,
+  formatHijri,
+  hijriDate,
+  islamicEvents
+};
@@ -0,0 +1,122 @@
+const { calculatePrayerTimes, formatTime, isoDate } = require('./prayerTimes');
+
+// Mosque congregation (jamaat/iqamah) schedules. Each prayer is either a fixed
+// clock time ({ time: '13:30' }) or minutes after the calculated adhan
+// ({ offset: 10 }). Date-range overrides (e.g. Ramadan) replace individual
+// prayers and, optionally, the Jumu'ah sessions.
+
+const JAMAAT_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const MAX_JAMAAT_OFFSET = 180;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FRIDAY = 5;
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Validation helpers return an error message or undefined, for validate() checks
+function scheduleError(jamaat) {
+  if (!isObject(jamaat)) return 'must be an object';
+
+  const unknown = Object.keys(jamaat).find((name) => !JAMAAT_PRAYERS.includes(name));
+  if (unknown) return `has unknown prayer "${unknown}" (expected: ${JAMAAT_PRAYERS.join(', ')})`;
+
+  const invalid = Object.keys(jamaat).find((name) => {
+    const rule = jamaat[name];
+    if (rule === null) return false;
+    if (!isObject(rule)) return true;
+    if (rule.time !== undefined) return rule.offset !== undefined || !TIME_PATTERN.test(rule.time);
+    return !Number.isInteger(rule.offset) || rule.offset < 0 || rule.offset > MAX_JAMAAT_OFFSET;
+  });
+  return invalid
+    ? `${invalid} must be { time: "HH:MM" } or { offset: 0-${MAX_JAMAAT_OFFSET} minutes }`
+    : undefined;
+}
+
+function jumuahError(sessions) {
+  if (!Array.isArray(sessions)) return 'must be a list';
+  const index = sessions.findIndex((session) => !isObject(session)
+    || !TIME_PATTERN.test(session.khutbah)
+    || !TIME_PATTERN.test(session.jamaat)
+    || session.khutbah > session.jamaat);
+  return index === -1
+    ? undefined
+    : `item ${index + 1} must be { khutbah: "HH:MM", jamaat: "HH:MM" } with the khutbah first`;
+}
+
+function overridesError(overrides) {
+  if (!Array.isArray(overrides)) return 'must be a list';
+
+  for (let i = 0; i < overrides.length; i += 1) {
+    const override = overrides[i];
+    const label = `item ${i + 1}`;
+    if (!isObject(override)) return `${label} must be an object`;
+    if (typeof override.label !== 'string' || !override.label.trim() || override.label.length > 100) {
+      return `${label} needs a label of at most 100 characters`;
+    }
+    if (!DATE_PATTERN.test(override.from) || !DATE_PATTERN.test(override.to) || override.from > override.to) {
+      return `${label} needs from/to dates (YYYY-MM-DD) with from on or before to`;
+    }
+    if (override.jamaat !== undefined) {
+      const error = scheduleError(override.jamaat);
+      if (error) return `${label} jamaat ${error}`;
+    }
+    if (override.jumuah !== undefined) {
+      const error = jumuahError(override.jumuah);
+      if (error) return `${label} jumuah ${error}`;
+    }
+  }
+  return undefined;
+}
+
+function jamaatTime(rule, adhanHours) {
+  if (!rule) return null;
+  if (rule.time) return rule.time;
+  return formatTime(adhanHours + rule.offset / 60);
+}
+
+// Adhan and jamaat side by side for one day ({ year, month, day })
+function mosqueTimes(mosque, date) {
+  const day = isoDate(date);
+
+  // Later overrides win where ranges overlap
+  const active = (mosque.overrides || []).filter((override) => override.from <= day && day <= override.to);
+  const schedule = Object.assign({}, mosque.jamaat, ...active.map((override) => override.jamaat || {}));
+  const withJumuah = active.filter((override) => override.jumuah);
+  const jumuah = withJumuah.length ? withJumuah[withJumuah.length - 1].jumuah : (mosque.jumuah || []);
+
+  const { times, hours } = calculatePrayerTimes({
+    date,
+    latitude: mosque.latitude,
+    longitude: mosque.longitude,
+    timezone: mosque.timezone,
+    method: mosque.method,
+    school: mosque.school,
+    highLatitudeRule: mosque.highLatitudeRule
+  });
+
+  const prayers = {};
+  JAMAAT_PRAYERS.forEach((name) => {
+    prayers[name] = {
+      adhan: times[name],
+      jamaat: Number.isFinite(hours[name]) ? jamaatTime(schedule[name], hours[name]) : null
+    };
+  });
+
+  const isFriday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay() === FRIDAY;
+
+  return {
+    date: day,
+    sunrise: times.sunrise,
+    prayers,
+    jumuah: isFriday ? jumuah : null,
+    overrides: active.map((override) => override.label)
+  };
+}
+
+module.exports = {
+  JAMAAT_PRAYERS,
+  scheduleError,
+  jumuahError,
+  overridesError,
+  mosqueTimes
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing mail goes through one transport picked by MAIL_TRANSPORT:
+//   smtp    - real delivery (production)
+//   file    - one JSON file per message in MAIL_DIR (local testing)
+//   console - log the message (default)
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport() {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+      const file = path.join(MAIL_DIR, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+}
+
+const transport = transports[MAIL_TRANSPORT]();
+
+async function sendMail({ to, subject, text, html }) {
+  await transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { db, run, get } = require('../config/sqlite');
+
+// Single-use, expiring tokens for links sent by email
+// (password reset, email verification). Only the hash is stored.
+db.run(
+  `CREATE TABLE IF NOT EXISTS one_time_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    purpose TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT
+  )`,
+  (err) => {
+    if (err) console.error('Create one_time_tokens table error:', err);
+  }
+);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a new token; earlier unused tokens for the same purpose stop working
+async function createOneTimeToken(userId, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await run(
+    'UPDATE one_time_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [now.toISOString(), userId, purpose]
+  );
+  await run(
+    `INSERT INTO one_time_tokens (token_hash, user_id, purpose, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      hashToken(token),
+      userId,
+      purpose,
+      now.toISOString(),
+      new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()
+    ]
+  );
+  return token;
+}
+
+// Mark a token used and return its user id, or null if invalid/expired/used
+async function consumeOneTimeToken(token, purpose) {
+  const tokenHash = hashToken(token);
+  const now = new Date().toISOString();
+
+  const row = await get(
+    'SELECT user_id FROM one_time_tokens WHERE token_hash = ? AND purpose = ?',
+    [tokenHash, purpose]
+  );
+  if (!row) return null;
+
+  const result = await run(
+    'UPDATE one_time_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+    [now, tokenHash, now]
+  );
+  return result.changes ? row.user_id : null;
+}
+
+module.exports = { createOneTimeToken, consumeOneTimeToken };
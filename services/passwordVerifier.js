@@ -0,0 +1,99 @@
+const axios = require('axios');
+const bcrypt = require('bcrypt');
+const storage = require('../storage');
+const { SALT_ROUNDS } = require('../config/app');
+
+// Verifies email/password pairs for the Firebase /login route.
+// The Admin SDK cannot check passwords, so either ask the Identity Toolkit
+// REST API (production) or compare against a bcrypt hash we store ourselves
+// at registration (local/testing). Local is opt-in only: accounts created
+// before it have no stored hash, so switching to it locks them out.
+const FIREBASE_WEB_API_KEY = process.env.FIREBASE_WEB_API_KEY;
+const PASSWORD_VERIFIER = (process.env.PASSWORD_VERIFIER || 'identity-toolkit').trim().toLowerCase();
+
+class CredentialError extends Error {
+  constructor(message, status = 401, code = 'INVALID_CREDENTIALS') {
+    super(message);
+    this.name = 'CredentialError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Identity Toolkit error codes -> HTTP status
+const IDENTITY_TOOLKIT_ERRORS = {
+  EMAIL_NOT_FOUND: [401, 'INVALID_CREDENTIALS', 'Invalid credentials'],
+  INVALID_PASSWORD: [401, 'INVALID_CREDENTIALS', 'Invalid credentials'],
+  INVALID_LOGIN_CREDENTIALS: [401, 'INVALID_CREDENTIALS', 'Invalid credentials'],
+  INVALID_EMAIL: [400, 'INVALID_EMAIL', 'Invalid email address'],
+  USER_DISABLED: [403, 'USER_DISABLED', 'Account has been disabled'],
+  TOO_MANY_ATTEMPTS_TRY_LATER: [429, 'TOO_MANY_ATTEMPTS', 'Too many attempts, try again later']
+};
+
+const identityToolkitVerifier = {
+  async verify(email, password) {
+    if (!FIREBASE_WEB_API_KEY) {
+      throw new CredentialError('Password verification is not configured', 503, 'VERIFIER_UNAVAILABLE');
+    }
+
+    try {
+      const response = await axios.post(
+        'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword',
+        { email, password, returnSecureToken: false },
+        { params: { key: FIREBASE_WEB_API_KEY } }
+      );
+      return { uid: response.data.localId };
+    } catch (error) {
+      const reason = error.response && error.response.data && error.response.data.error
+        ? String(error.response.data.error.message).split(' ')[0]
+        : null;
+      const mapped = IDENTITY_TOOLKIT_ERRORS[reason];
+
+      if (mapped) throw new CredentialError(mapped[2], mapped[0], mapped[1]);
+      console.error('Identity Toolkit error:', error.message);
+      throw new CredentialError('Password verification unavailable', 503, 'VERIFIER_UNAVAILABLE');
+    }
+  },
+
+  // Firebase Auth already holds the password
+  async store() {}
+};
+
+const localVerifier = {
+  async verify(email, password) {
+    const [credential] = await storage.list('credentials', {
+      where: { email: String(email).trim().toLowerCase() }
+    });
+
+    if (!credential || !(await bcrypt.compare(password, credential.passwordHash))) {
+      throw new CredentialError('Invalid credentials');
+    }
+    return { uid: credential.id };
+  },
+
+  async store(uid, email, password) {
+    await storage.set('credentials', uid, {
+      email: String(email).trim().toLowerCase(),
+      passwordHash: await bcrypt.hash(password, SALT_ROUNDS),
+      updatedAt: new Date().toISOString()
+    });
+  }
+};
+
+const verifiers = {
+  'identity-toolkit': identityToolkitVerifier,
+  local: localVerifier
+};
+
+if (!verifiers[PASSWORD_VERIFIER]) {
+  throw new Error(`Unknown PASSWORD_VERIFIER "${PASSWORD_VERIFIER}"`);
+}
+
+if (PASSWORD_VERIFIER === 'local') {
+  console.warn('⚠️  PASSWORD_VERIFIER=local: Firebase passwords are checked against bcrypt hashes stored in "credentials" (testing only)');
+}
+
+module.exports = {
+  passwordVerifier: verifiers[PASSWORD_VERIFIER],
+  CredentialError
+};
@@ -0,0 +1,109 @@
+const storage = require('../storage');
+const { resolveCity, findById } = require('./gazetteer');
+const { METHODS, todayIn, isoDate } = require('./prayerTimes');
+
+// Saved prayer settings, shared by the prayer routes and the reminder scheduler
+
+// Prayers a reminder can be turned on for
+const REMINDER_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const MAX_REMINDER_MINUTES = 120;
+const DEFAULT_REMINDER_MINUTES = 10;
+
+const DEFAULT_PREFERENCES = {
+  locationId: '',
+  city: '',
+  country: '',
+  calculationMethod: 2,
+  school: 'shafi',
+  highLatitudeRule: 'middle-of-night',
+  offsets: {},
+  timezone: '',
+  notifications: {},
+  hijriAdjustment: 0,
+  imsakMinutes: 10
+};
+
+// Reminders are opt-in per prayer; older documents may hold any object here
+function normalizeNotifications(notifications = {}) {
+  const prayers = {};
+  REMINDER_PRAYERS.forEach((name) => {
+    prayers[name] = Boolean(notifications.prayers && notifications.prayers[name] === true);
+  });
+  return {
+    minutesBefore: Number.isInteger(notifications.minutesBefore)
+      ? notifications.minutesBefore
+      : DEFAULT_REMINDER_MINUTES,
+    prayers
+  };
+}
+
+function withDefaults(saved) {
+  const { id, ...preferences } = saved || {};
+  const merged = { ...DEFAULT_PREFERENCES, ...preferences };
+  merged.notifications = normalizeNotifications(merged.notifications);
+  return merged;
+}
+
+// Saved preferences (over the defaults); defaults when there's no user
+async function loadPreferences(uid) {
+  return withDefaults(uid ? await storage.get('prayer_preferences', uid) : null);
+}
+
+// Saved methods the engine no longer supports fall back to the default
+const supportedMethod = (method) => (METHODS[method] ? method : DEFAULT_PREFERENCES.calculationMethod);
+
+// Query parameters win over saved preferences
+function calculationSettings(query, preferences) {
+  const pick = (name, preference) => (query[name] !== undefined ? query[name] : preference);
+  return {
+    method: pick('method', supportedMethod(preferences.calculationMethod)),
+    school: pick('school', preferences.school),
+    highLatitudeRule: pick('highLatitudeRule', preferences.highLatitudeRule),
+    offsets: preferences.offsets,
+    imsakMinutes: pick('imsakMinutes', preferences.imsakMinutes)
+  };
+}
+
+// The gazetteer city a user saved, or null if it's missing or ambiguous
+function preferredCity(preferences) {
+  if (preferences.locationId) {
+    const city = findById(preferences.locationId);
+    if (city) return city;
+  }
+  if (!preferences.city) return null;
+  return resolveCity(preferences.city, preferences.country || undefined).city || null;
+}
+
+// Why the scheduler can't send the reminders a user turned on, or null.
+// Reminders are computed for the saved gazetteer city only.
+function reminderIssue(preferences) {
+  if (!REMINDER_PRAYERS.some((prayer) => preferences.notifications.prayers[prayer])) return null;
+  if (preferredCity(preferences)) return null;
+  return 'Reminders need a saved locationId, or a city (and country) the gazetteer can resolve';
+}
+
+// Where "today" is for the user: their saved timezone, else their city's, else UTC
+function preferredTimezone(preferences) {
+  if (preferences.timezone) return preferences.timezone;
+  const city = preferredCity(preferences);
+  return city ? city.timezone : 'UTC';
+}
+
+// Today's date ('YYYY-MM-DD') where the user is
+async function userToday(uid) {
+  return isoDate(todayIn(preferredTimezone(await loadPreferences(uid))));
+}
+
+module.exports = {
+  REMINDER_PRAYERS,
+  MAX_REMINDER_MINUTES,
+  DEFAULT_PREFERENCES,
+  normalizeNotifications,
+  withDefaults,
+  loadPreferences,
+  calculationSettings,
+  preferredCity,
+  reminderIssue,
+  preferredTimezone,
+  userToday
+};
@@ -0,0 +1,307 @@
+// Offline prayer time calculation. Solar noon comes from the sun's declination
+// and the equation of time; every other prayer is when the sun reaches a given
+// angle around it (the same model PrayTimes.org and Aladhan use).
+// Method ids match the Aladhan `method` parameter the API already accepted.
+
+const METHODS = {
+  0: { name: 'Shia Ithna-Ashari, Leva Institute, Qum', fajr: 16, isha: 14, maghrib: 4, midnight: 'jafari' },
+  1: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+  2: { name: 'Islamic Society of North America (ISNA)', fajr: 15, isha: 15 },
+  3: { name: 'Muslim World League', fajr: 18, isha: 17 },
+  4: { name: 'Umm Al-Qura University, Makkah', fajr: 18.5, ishaMinutes: 90 },
+  5: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+  7: { name: 'Institute of Geophysics, University of Tehran', fajr: 17.7, isha: 14, maghrib: 4.5, midnight: 'jafari' },
+  8: { name: 'Gulf Region', fajr: 19.5, ishaMinutes: 90 },
+  9: { name: 'Kuwait', fajr: 18, isha: 17.5 },
+  10: { name: 'Qatar', fajr: 18, ishaMinutes: 90 },
+  11: { name: 'Majlis Ugama Islam Singapura, Singapore', fajr: 20, isha: 18 },
+  12: { name: 'Union Organization Islamic de France', fajr: 12, isha: 12 },
+  13: { name: 'Diyanet İşleri Başkanlığı, Turkey', fajr: 18, isha: 17 },
+  14: { name: 'Spiritual Administration of Muslims of Russia', fajr: 16, isha: 15 },
+  16: { name: 'Dubai', fajr: 18.2, isha: 18.2 },
+  17: { name: 'Jabatan Kemajuan Islam Malaysia (JAKIM)', fajr: 20, isha: 18 },
+  18: { name: 'Tunisia', fajr: 18, isha: 18 },
+  19: { name: 'Algeria', fajr: 18, isha: 17 },
+  20: { name: 'Kementerian Agama Republik Indonesia', fajr: 20, isha: 18 },
+  21: { name: 'Morocco', fajr: 19, isha: 17 },
+  22: { name: 'Comunidade Islamica de Lisboa', fajr: 18, ishaMinutes: 77 },
+  23: { name: 'Ministry of Awqaf, Islamic Affairs and Holy Places, Jordan', fajr: 18, isha: 18 }
+};
+
+// Shadow length factor for Asr
+const ASR_SCHOOLS = { shafi: 1, hanafi: 2 };
+
+// How Fajr/Isha are bounded where twilight never ends (high latitudes)
+const HIGH_LATITUDE_RULES = ['middle-of-night', 'one-seventh', 'angle-based', 'none'];
+
+const PRAYERS = ['imsak', 'fajr', 'sunrise', 'dhuhr', 'asr', 'sunset', 'maghrib', 'isha', 'midnight'];
+
+// Degree-based trigonometry
+const dtr = (d) => (d * Math.PI) / 180;
+const rtd = (r) => (r * 180) / Math.PI;
+const sin = (d) => Math.sin(dtr(d));
+const cos = (d) => Math.cos(dtr(d));
+const tan = (d) => Math.tan(dtr(d));
+const arcsin = (x) => rtd(Math.asin(x));
+const arccos = (x) => rtd(Math.acos(x));
+const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+const arccot = (x) => rtd(Math.atan(1 / x));
+const fix = (a, b) => {
+  const r = a - b * Math.floor(a / b);
+  return r < 0 ? r + b : r;
+};
+const fixAngle = (a) => fix(a, 360);
+const fixHour = (h) => fix(h, 24);
+
+function julianDate(year, month, day) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const a = Math.floor(year / 100);
+  const b = 2 - a + Math.floor(a / 4);
+  return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+// Declination and equation of time for a Julian date
+function sunPosition(jd) {
+  const d = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * d);
+  const q = fixAngle(280.459 + 0.98564736 * d);
+  const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+  const e = 23.439 - 0.00000036 * d;
+
+  const ra = arctan2(cos(e) * sin(l), cos(l)) / 15;
+  return {
+    declination: arcsin(sin(e) * sin(l)),
+    equation: q / 15 - fixHour(ra)
+  };
+}
+
+// UTC offset (hours) of an IANA zone on a given date
+function timezoneOffset(timeZone, year, month, day) {
+  const reference = Date.UTC(year, month - 1, day, 12);
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(reference)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return (local - reference) / 3600000;
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Today's date ({ year, month, day }) in a zone (IANA name or hour offset)
+function todayIn(timezone) {
+  if (typeof timezone === 'number') {
+    const shifted = new Date(Date.now() + timezone * 3600000);
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(new Date())
+    .forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+  return { year: parts.year, month: parts.month, day: parts.day };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' for a { year, month, day } (Gregorian or Hijri)
+const isoDate = ({ year, month, day }) => [year, month, day]
+  .map((n, i) => String(n).padStart(i ? 2 : 4, '0'))
+  .join('-');
+
+// Day arithmetic on 'YYYY-MM-DD' strings
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// addDays for a { year, month, day }
+function shiftDate({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function formatTime(hours) {
+  if (!Number.isFinite(hours)) return null;
+  const minutes = Math.floor(fixHour(hours + 0.5 / 60) * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Epoch milliseconds of a local decimal-hours time on a date
+function toUtcTime(date, hours, tzOffset) {
+  return Date.UTC(date.year, date.month - 1, date.day) + Math.round((hours - tzOffset) * 60) * 60000;
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "18 Oct 2026", the format Aladhan used for `date`
+function readableDate({ year, month, day }) {
+  return `${String(day).padStart(2, '0')} ${MONTHS[month - 1]} ${year}`;
+}
+
+// Prayer times for one day and place, in local clock time. `timezone` is an
+// IANA name or a UTC offset in hours; `offsets` are minutes per prayer;
+// `imsakMinutes` is how long before Fajr imsak falls.
+// Returns formatted 'HH:MM' times plus the raw decimal hours; a time that
+// doesn't occur (polar day/night) formats as null.
+function calculatePrayerTimes(options) {
+  const {
+    date,
+    latitude,
+    longitude,
+    elevation = 0,
+    timezone,
+    method: methodId = 2,
+    school = 'shafi',
+    highLatitudeRule = 'middle-of-night',
+    offsets = {},
+    imsakMinutes = 10
+  } = options;
+
+  const method = METHODS[methodId];
+  if (!method) throw new Error(`Unsupported calculation method ${methodId}`);
+  if (!ASR_SCHOOLS[school]) throw new Error(`Unknown Asr school ${school}`);
+  if (!HIGH_LATITUDE_RULES.includes(highLatitudeRule)) {
+    throw new Error(`Unknown high latitude rule ${highLatitudeRule}`);
+  }
+
+  const tzOffset = typeof timezone === 'number'
+    ? timezone
+    : timezoneOffset(timezone, date.year, date.month, date.day);
+  const jDate = julianDate(date.year, date.month, date.day) - longitude / (15 * 24);
+
+  const midDay = (portion) => fixHour(12 - sunPosition(jDate + portion).equation);
+
+  // Time the sun reaches `angle` below the horizon, before (ccw) or after noon
+  const sunAngleTime = (angle, portion, ccw) => {
+    const { declination } = sunPosition(jDate + portion);
+    const noon = midDay(portion);
+    const t = arccos(
+      (-sin(angle) - sin(declination) * sin(latitude)) / (cos(declination) * cos(latitude))
+    ) / 15;
+    return noon + (ccw ? -t : t);
+  };
+
+  const asrTime = (factor, portion) => {
+    const { declination } = sunPosition(jDate + portion);
+    const angle = -arccot(factor + tan(Math.abs(latitude - declination)));
+    return sunAngleTime(angle, portion, false);
+  };
+
+  const riseSetAngle = 0.833 + 0.0347 * Math.sqrt(elevation);
+
+  // First guesses (hours) refine the sun position used for each prayer
+  const guess = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, maghrib: 18, isha: 18 };
+  const portion = (name) => guess[name] / 24;
+
+  const times = {
+    fajr: sunAngleTime(method.fajr, portion('fajr'), true),
+    sunrise: sunAngleTime(riseSetAngle, portion('sunrise'), true),
+    dhuhr: midDay(portion('dhuhr')),
+    asr: asrTime(ASR_SCHOOLS[school], portion('asr')),
+    sunset: sunAngleTime(riseSetAngle, portion('sunset'), false),
+    maghrib: method.maghrib
+      ? sunAngleTime(method.maghrib, portion('maghrib'), false)
+      : null,
+    isha: method.isha ? sunAngleTime(method.isha, portion('isha'), false) : null
+  };
+
+  // Convert from solar to local clock time
+  Object.keys(times).forEach((name) => {
+    if (times[name] !== null) times[name] += tzOffset - longitude / 15;
+  });
+
+  if (times.maghrib === null) times.maghrib = times.sunset;
+  if (method.ishaMinutes) times.isha = times.maghrib + method.ishaMinutes / 60;
+
+  // High latitudes: cap the twilight to a portion of the night
+  if (highLatitudeRule !== 'none') {
+    const night = fixHour(times.sunrise - times.sunset);
+    const nightPortion = (angle) => {
+      if (highLatitudeRule === 'angle-based') return (angle / 60) * night;
+      if (highLatitudeRule === 'one-seventh') return night / 7;
+      return night / 2;
+    };
+    const adjust = (time, base, angle, ccw) => {
+      const limit = nightPortion(angle);
+      const diff = ccw ? fixHour(base - time) : fixHour(time - base);
+      if (!Number.isFinite(time) || diff > limit) return base + (ccw ? -limit : limit);
+      return time;
+    };
+
+    times.fajr = adjust(times.fajr, times.sunrise, method.fajr, true);
+    if (!method.ishaMinutes) times.isha = adjust(times.isha, times.sunset, method.isha, false);
+    if (method.maghrib) times.maghrib = adjust(times.maghrib, times.sunset, method.maghrib, false);
+  }
+
+  times.midnight = method.midnight === 'jafari'
+    ? times.sunset + fixHour(times.fajr - times.sunset) / 2
+    : times.sunset + fixHour(times.sunrise - times.sunset) / 2;
+
+  PRAYERS.forEach((name) => {
+    if (offsets[name]) times[name] += offsets[name] / 60;
+  });
+  // Imsak (end of suhoor) follows Fajr as adjusted
+  times.imsak = times.fajr - imsakMinutes / 60;
+
+  const formatted = {};
+  PRAYERS.forEach((name) => {
+    formatted[name] = formatTime(times[name]);
+  });
+
+  return { times: formatted, hours: times, timezoneOffset: tzOffset };
+}
+
+// Every day of a month, or of the whole year when month is omitted
+function calculateTimetable(options, year, month) {
+  const months = month ? [month] : Array.from({ length: 12 }, (_, i) => i + 1);
+  const days = [];
+
+  months.forEach((m) => {
+    const daysInMonth = new Date(Date.UTC(year, m, 0)).getUTCDate();
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      const date = { year, month: m, day };
+      days.push({ date, ...calculatePrayerTimes({ ...options, date }) });
+    }
+  });
+
+  return days;
+}
+
+module.exports = {
+  METHODS,
+  ASR_SCHOOLS,
+  HIGH_LATITUDE_RULES,
+  PRAYERS,
+  calculatePrayerTimes,
+  calculateTimetable,
+  timezoneOffset,
+  isValidTimezone,
+  todayIn,
+  isoDate,
+  addDays,
+  daysBetween,
+  shiftDate,
+  toUtcTime,
+  readableDate,
+  formatTime
+};
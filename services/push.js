@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// Push notifications go through one provider picked by PUSH_PROVIDER:
+//   fcm     - Firebase Cloud Messaging (production; uses the Firebase Admin credentials)
+//   file    - one JSON file per message in PUSH_DIR (local testing)
+//   memory  - kept in process, see recordedPushes() (tests)
+//   console - log the message (default)
+// send() resolves to { invalidTokens } so callers can forget dead devices.
+const PUSH_PROVIDER = (process.env.PUSH_PROVIDER || 'console').trim().toLowerCase();
+const PUSH_DIR = process.env.PUSH_DIR || path.join(__dirname, '..', 'push-outbox');
+
+// FCM errors meaning the token will never work again
+const DEAD_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// FCM data payload values must be strings
+const stringify = (data = {}) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [key, String(value)])
+);
+
+function createFcmProvider() {
+  return {
+    async send({ tokens, title, body, data }) {
+      const { admin } = require('../config/firebase');
+      const response = await admin.messaging().sendEachForMulticast({
+        tokens,
+        notification: { title, body },
+        data: stringify(data)
+      });
+
+      const invalidTokens = [];
+      response.responses.forEach((result, i) => {
+        if (!result.success && DEAD_TOKEN_CODES.includes(result.error && result.error.code)) {
+          invalidTokens.push(tokens[i]);
+        }
+      });
+      return { invalidTokens };
+    }
+  };
+}
+
+function createFileProvider() {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(PUSH_DIR, { recursive: true });
+      const file = path.join(PUSH_DIR, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { invalidTokens: [] };
+    }
+  };
+}
+
+const recorded = [];
+
+function createMemoryProvider() {
+  return {
+    async send(message) {
+      recorded.push({ ...message, sentAt: new Date().toISOString() });
+      return { invalidTokens: [] };
+    }
+  };
+}
+
+function createConsoleProvider() {
+  return {
+    async send({ tokens, title, body }) {
+      console.log(`🔔 Push to ${tokens.length} device(s): ${title} - ${body}`);
+      return { invalidTokens: [] };
+    }
+  };
+}
+
+const providers = {
+  fcm: createFcmProvider,
+  file: createFileProvider,
+  memory: createMemoryProvider,
+  console: createConsoleProvider
+};
+
+if (!providers[PUSH_PROVIDER]) {
+  throw new Error(`Unknown PUSH_PROVIDER "${PUSH_PROVIDER}"`);
+}
+
+const provider = providers[PUSH_PROVIDER]();
+
+async function sendPush({ tokens, title, body, data }) {
+  if (!tokens.length) return { invalidTokens: [] };
+  return provider.send({ tokens, title, body, data });
+}
+
+// Messages sent with PUSH_PROVIDER=memory
+function recordedPushes() {
+  return recorded.slice();
+}
+
+module.exports = { sendPush, recordedPushes };
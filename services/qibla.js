@@ -0,0 +1,69 @@
+// Great-circle direction and distance to the Kaaba
+
+const KAABA = { latitude: 21.422487, longitude: 39.826206 };
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_MILE = 1.609344;
+
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalizeBearing = (degrees) => ((degrees % 360) + 360) % 360;
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+function compassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 22.5) % COMPASS_POINTS.length];
+}
+
+// Initial bearing (degrees clockwise from true north) from a point to the Kaaba
+function qiblaBearing(latitude, longitude) {
+  const lat = toRadians(latitude);
+  const kaabaLat = toRadians(KAABA.latitude);
+  const deltaLng = toRadians(KAABA.longitude - longitude);
+
+  const y = Math.sin(deltaLng);
+  const x = Math.cos(lat) * Math.tan(kaabaLat) - Math.sin(lat) * Math.cos(deltaLng);
+  return normalizeBearing(toDegrees(Math.atan2(y, x)));
+}
+
+// Haversine distance in kilometres
+function distanceToKaaba(latitude, longitude) {
+  const deltaLat = toRadians(KAABA.latitude - latitude);
+  const deltaLng = toRadians(KAABA.longitude - longitude);
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(toRadians(latitude)) * Math.cos(toRadians(KAABA.latitude)) * Math.sin(deltaLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Declination is the angle of magnetic north east (+) or west (-) of true
+// north, so a compass reads the true bearing minus the declination
+function qibla(latitude, longitude, declination) {
+  const bearing = qiblaBearing(latitude, longitude);
+  const km = distanceToKaaba(latitude, longitude);
+
+  const result = {
+    bearing: round(bearing),
+    compass: compassPoint(bearing),
+    distance: { km: round(km, 1), miles: round(km / KM_PER_MILE, 1) },
+    kaaba: KAABA
+  };
+
+  if (declination !== undefined) {
+    const magnetic = normalizeBearing(bearing - declination);
+    result.declination = declination;
+    result.magneticBearing = round(magnetic);
+    result.magneticCompass = compassPoint(magnetic);
+  }
+
+  return result;
+}
+
+module.exports = {
+  KAABA,
+  qibla,
+  qiblaBearing,
+  distanceToKaaba
+};
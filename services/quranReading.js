@@ -0,0 +1,203 @@
+const storage = require('../storage');
+const {
+  AYAH_COUNT,
+  JUZ_STARTS,
+  PAGE_STARTS,
+  surahInfo,
+  globalAyahNumber,
+  ayahAt,
+  pageOf,
+  juzOf
+} = require('../config/quranMeta');
+const { addDays, daysBetween } = require('./prayerTimes');
+
+// Personal Quran reading: bookmarks with notes ('quran_bookmarks', one per
+// user and ayah), the last-read position ('quran_progress', one per user) and
+// a khatm plan ('khatm_plans', one per user).
+
+// Where each unit starts, as positions in the whole mushaf (1..6236)
+const UNIT_STARTS = {
+  juz: JUZ_STARTS.map(([surah, ayah]) => globalAyahNumber(surah, ayah)),
+  page: PAGE_STARTS,
+  ayah: Array.from({ length: AYAH_COUNT }, (_, i) => i + 1)
+};
+const KHATM_UNITS = Object.keys(UNIT_STARTS);
+
+function ayahRef(number) {
+  const { surah, ayah } = ayahAt(number);
+  return { surah, ayah, surahName: surahInfo(surah).englishName, page: pageOf(surah, ayah), juz: juzOf(surah, ayah) };
+}
+
+const bookmarkId = (userId, surah, ayah) => `${userId}:${surah}:${ayah}`;
+const bookmarkView = ({ surah, ayah, note, createdAt, updatedAt }) => ({
+  ...ayahRef(globalAyahNumber(surah, ayah)),
+  note,
+  createdAt,
+  updatedAt
+});
+
+// Newest first, optionally within one surah
+async function listBookmarks(userId, surah) {
+  const bookmarks = await storage.list('quran_bookmarks', { orderBy: 'createdAt', where: { userId } });
+  return bookmarks
+    .filter((bookmark) => !surah || bookmark.surah === surah)
+    .reverse()
+    .map(bookmarkView);
+}
+
+// Creates the bookmark or replaces its note; `created` tells which
+async function saveBookmark(userId, surah, ayah, note) {
+  const id = bookmarkId(userId, surah, ayah);
+  const existing = await storage.get('quran_bookmarks', id);
+  const now = new Date().toISOString();
+  const bookmark = {
+    userId,
+    surah,
+    ayah,
+    note,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  await storage.set('quran_bookmarks', id, bookmark);
+  return { bookmark: bookmarkView(bookmark), created: !existing };
+}
+
+async function removeBookmark(userId, surah, ayah) {
+  const id = bookmarkId(userId, surah, ayah);
+  if (!await storage.get('quran_bookmarks', id)) return false;
+  await storage.remove('quran_bookmarks', id);
+  return true;
+}
+
+// Last-read ayah and the one to resume from (1:1 after a completed reading)
+async function getProgress(userId) {
+  const progress = await storage.get('quran_progress', userId);
+  if (!progress) return { lastRead: null, resume: ayahRef(1) };
+
+  const number = globalAyahNumber(progress.surah, progress.ayah);
+  return {
+    lastRead: { ...ayahRef(number), updatedAt: progress.updatedAt },
+    resume: ayahRef(number < AYAH_COUNT ? number + 1 : 1),
+    percentComplete: Math.round((number / AYAH_COUNT) * 1000) / 10
+  };
+}
+
+// Also moves the khatm plan forward; reading back never moves it back
+async function recordProgress(userId, surah, ayah) {
+  const updatedAt = new Date().toISOString();
+  await storage.set('quran_progress', userId, { surah, ayah, updatedAt });
+
+  const plan = await storage.get('khatm_plans', userId);
+  const number = globalAyahNumber(surah, ayah);
+  if (plan && !plan.completedAt && number >= plan.startNumber && number > plan.readThrough) {
+    await storage.update('khatm_plans', userId, {
+      readThrough: number,
+      completedAt: number === AYAH_COUNT ? updatedAt : null
+    });
+  }
+  return getProgress(userId);
+}
+
+const unitOf = (unit, number) => {
+  const starts = UNIT_STARTS[unit];
+  let index = starts.length - 1;
+  while (starts[index] > number) index -= 1;
+  return index + 1;
+};
+const unitEnd = (unit, index) => (UNIT_STARTS[unit][index] || AYAH_COUNT + 1) - 1;
+
+// Reading for `date` starting at position `from`: an even share of the units
+// left over the days left, at least one unit
+function assignment(unit, from, date, targetDate) {
+  const first = unitOf(unit, from);
+  const unitsLeft = UNIT_STARTS[unit].length - first + 1;
+  const daysLeft = Math.max(1, daysBetween(date, targetDate) + 1);
+  const last = Math.min(UNIT_STARTS[unit].length, first + Math.ceil(unitsLeft / daysLeft) - 1);
+
+  return {
+    date,
+    unit,
+    units: { from: first, to: last },
+    from: ayahRef(from),
+    to: ayahRef(unitEnd(unit, last)),
+    end: unitEnd(unit, last)
+  };
+}
+
+async function createPlan(userId, { unit, targetDate, startSurah, startAyah, today }) {
+  const startNumber = globalAyahNumber(startSurah, startAyah);
+  const plan = {
+    userId,
+    unit,
+    startNumber,
+    startDate: today,
+    targetDate,
+    readThrough: startNumber - 1,
+    day: { date: today, from: startNumber },
+    completedAt: null,
+    createdAt: new Date().toISOString()
+  };
+  await storage.set('khatm_plans', userId, plan);
+  return planView(plan, today);
+}
+
+// The plan with today's assignment and the schedule after it. Today's share
+// is fixed from where the reader stood when the day began, so it doesn't
+// shrink while they read; missed days spread over the days left.
+function planView(plan, today) {
+  const read = plan.readThrough - plan.startNumber + 1;
+  const view = {
+    unit: plan.unit,
+    start: ayahRef(plan.startNumber),
+    startDate: plan.startDate,
+    targetDate: plan.targetDate,
+    readThrough: plan.readThrough >= plan.startNumber ? ayahRef(plan.readThrough) : null,
+    percentComplete: Math.round((read / (AYAH_COUNT - plan.startNumber + 1)) * 1000) / 10,
+    daysLeft: Math.max(0, daysBetween(today, plan.targetDate) + 1),
+    overdue: today > plan.targetDate && !plan.completedAt,
+    completedAt: plan.completedAt,
+    today: null,
+    schedule: []
+  };
+  if (plan.completedAt) return view;
+
+  const { end, ...todays } = assignment(plan.unit, plan.day.from, today, plan.targetDate);
+  view.today = { ...todays, done: plan.readThrough >= end };
+
+  for (let from = end + 1, date = addDays(today, 1); from <= AYAH_COUNT; date = addDays(date, 1)) {
+    const { end: dayEnd, ...day } = assignment(plan.unit, from, date, plan.targetDate);
+    view.schedule.push(day);
+    from = dayEnd + 1;
+  }
+  return view;
+}
+
+// null without a plan
+async function getPlan(userId, today) {
+  const plan = await storage.get('khatm_plans', userId);
+  if (!plan) return null;
+
+  if (plan.day.date !== today && !plan.completedAt) {
+    plan.day = { date: today, from: Math.min(plan.readThrough + 1, AYAH_COUNT) };
+    await storage.update('khatm_plans', userId, { day: plan.day });
+  }
+  return planView(plan, today);
+}
+
+async function removePlan(userId) {
+  if (!await storage.get('khatm_plans', userId)) return false;
+  await storage.remove('khatm_plans', userId);
+  return true;
+}
+
+module.exports = {
+  KHATM_UNITS,
+  listBookmarks,
+  saveBookmark,
+  removeBookmark,
+  getProgress,
+  recordProgress,
+  createPlan,
+  getPlan,
+  removePlan
+};
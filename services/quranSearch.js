@@ -0,0 +1,229 @@
+const quranStore = require('./quranStore');
+const { surahInfo } = require('../config/quranMeta');
+const { isArabic, normalizeArabic, lightStem, arabicRoot } = require('./arabic');
+
+// Full-text search over imported Quran editions and translations.
+//
+// Each edition gets an in-memory inverted index, built on first use and
+// rebuilt when the edition is re-imported. A query term matches a word by
+// its normalized form, by its stem (Arabic clitics / English endings
+// stripped) or, in root mode, by its Arabic root; weaker matches count for
+// less. Every term must match. Ayahs are ranked with BM25, with a bonus when
+// the terms appear together as a phrase.
+
+const MATCH_WEIGHTS = { form: 1, stem: 0.8, prefix: 0.7, root: 0.5 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PHRASE_BONUS = 1.5;
+const MAX_TERMS = 10;
+const SNIPPET_WORDS = 40;
+
+const latinForm = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const englishStem = (word) => {
+  const suffix = ['ing', 'ed', 'es', 'ly', 's'].find((end) => word.endsWith(end) && word.length - end.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+const arabicForm = (word, options) => normalizeArabic(word, options).replace(/[^\u0621-\u064A]/g, '');
+
+// Match keys of one word of text. Uthmani words with a dagger alif are
+// indexed both with and without it.
+function wordKeys(word, arabic) {
+  if (!arabic) {
+    const form = latinForm(word);
+    return form ? { forms: [form], stems: [englishStem(form)], roots: [] } : null;
+  }
+  const forms = [...new Set([arabicForm(word), arabicForm(word, { superscriptAlif: true })])].filter(Boolean);
+  if (!forms.length) return null;
+  return {
+    forms,
+    stems: [...new Set(forms.map(lightStem))],
+    roots: [...new Set(forms.map(arabicRoot))]
+  };
+}
+
+function addPosting(map, key, doc) {
+  if (!map.has(key)) map.set(key, new Map());
+  const postings = map.get(key);
+  postings.set(doc, (postings.get(doc) || 0) + 1);
+}
+
+function buildIndex(ayahs, arabic) {
+  const index = { arabic, docs: [], forms: new Map(), stems: new Map(), roots: new Map(), totalLength: 0 };
+
+  ayahs.forEach((ayah, doc) => {
+    let length = 0;
+    const normalized = [];
+    ayah.text.split(/\s+/).forEach((word) => {
+      const keys = wordKeys(word, arabic);
+      if (!keys) return;
+      length += 1;
+      normalized.push(keys.forms[0]);
+      keys.forms.forEach((key) => addPosting(index.forms, key, doc));
+      keys.stems.forEach((key) => addPosting(index.stems, key, doc));
+      keys.roots.forEach((key) => addPosting(index.roots, key, doc));
+    });
+    index.docs.push({ ...ayah, length, normalized: ` ${normalized.join(' ')} ` });
+    index.totalLength += length;
+  });
+
+  index.averageLength = index.totalLength / Math.max(1, index.docs.length);
+  return index;
+}
+
+const indexes = new Map();
+
+async function editionIndex(edition) {
+  const cached = indexes.get(edition.identifier);
+  if (cached && cached.importedAt === edition.importedAt) return cached.index;
+
+  const ayahs = await quranStore.getEditionText(edition.identifier);
+  const index = buildIndex(ayahs, edition.language === 'ar' || ayahs.slice(0, 10).some((ayah) => isArabic(ayah.text)));
+  indexes.set(edition.identifier, { importedAt: edition.importedAt, index });
+  return index;
+}
+
+// Query terms with what each may match in this index
+function queryTerms(query, index, mode) {
+  const terms = query.split(/\s+/)
+    .map((word) => wordKeys(word, index.arabic))
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+
+  return terms.map((keys) => {
+    const form = keys.forms[0];
+    const matchers = [
+      { map: index.forms, key: form, weight: MATCH_WEIGHTS.form },
+      { map: index.stems, key: keys.stems[0], weight: MATCH_WEIGHTS.stem }
+    ];
+    if (index.arabic && mode === 'root') {
+      matchers.push({ map: index.roots, key: keys.roots[0], weight: MATCH_WEIGHTS.root });
+    }
+    // English words still being typed ("merc" finds "mercy", "merciful")
+    if (!index.arabic && form.length >= 3) {
+      index.forms.forEach((postings, key) => {
+        if (key !== form && key.startsWith(form)) matchers.push({ map: index.forms, key, weight: MATCH_WEIGHTS.prefix });
+      });
+    }
+    return { form, keys, matchers };
+  });
+}
+
+// doc -> { weight, tf } for the best way a term matches each ayah
+function termMatches(term) {
+  const matches = new Map();
+  term.matchers.forEach(({ map, key, weight }) => {
+    const postings = map.get(key);
+    if (!postings) return;
+    postings.forEach((tf, doc) => {
+      const current = matches.get(doc);
+      if (!current || current.weight < weight) matches.set(doc, { weight, tf });
+      else if (current.weight === weight) current.tf += tf;
+    });
+  });
+  return matches;
+}
+
+// Whether a word of ayah text matches any term (for highlighting)
+function wordMatches(word, terms, index, mode) {
+  const keys = wordKeys(word, index.arabic);
+  if (!keys) return false;
+  return terms.some((term) => term.matchers.some(({ map, key }) => {
+    if (map === index.forms) return keys.forms.includes(key);
+    if (map === index.stems) return keys.stems.includes(key);
+    return mode === 'root' && keys.roots.includes(key);
+  }));
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Ayah text as HTML with matched words in <mark>, cut to a window around the
+// first match. Imported texts are escaped so only our <mark> tags are markup.
+function snippet(text, terms, index, mode) {
+  const words = text.split(/\s+/);
+  const marked = words.map((word) => (wordMatches(word, terms, index, mode)
+    ? `<mark>${escapeHtml(word)}</mark>`
+    : escapeHtml(word)));
+  if (words.length <= SNIPPET_WORDS) return marked.join(' ');
+
+  const first = Math.max(0, marked.findIndex((word) => word.startsWith('<mark>')));
+  const start = Math.max(0, Math.min(first - 10, words.length - SNIPPET_WORDS));
+  const end = start + SNIPPET_WORDS;
+  return `${start > 0 ? '… ' : ''}${marked.slice(start, end).join(' ')}${end < words.length ? ' …' : ''}`;
+}
+
+function searchIndex(index, query, { mode, surahs, juzs }) {
+  const terms = queryTerms(query, index, mode);
+  if (!terms.length) return [];
+
+  const inRange = (doc) => {
+    const { surah, juz } = index.docs[doc];
+    return (!surahs || (surah >= surahs.from && surah <= surahs.to))
+      && (!juzs || (juz >= juzs.from && juz <= juzs.to));
+  };
+
+  const perTerm = terms.map(termMatches);
+  let candidates = [...perTerm[0].keys()].filter(inRange);
+  perTerm.slice(1).forEach((matches) => {
+    candidates = candidates.filter((doc) => matches.has(doc));
+  });
+
+  const total = index.docs.length;
+  const phrase = terms.length > 1 ? ` ${terms.map((term) => term.form).join(' ')} ` : null;
+
+  return candidates.map((doc) => {
+    const { length, normalized } = index.docs[doc];
+    let score = 0;
+    perTerm.forEach((matches) => {
+      const { weight, tf } = matches.get(doc);
+      const idf = Math.log(1 + (total - matches.size + 0.5) / (matches.size + 0.5));
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * (length / index.averageLength));
+      score += weight * idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+    });
+    if (phrase && normalized.includes(phrase)) score *= PHRASE_BONUS;
+    return { doc, score, terms };
+  });
+}
+
+const surahSummary = (number) => {
+  const { name, englishName } = surahInfo(number);
+  return { number, name, englishName };
+};
+
+// Ranked, paginated results across `editions` (from quranStore.listImports).
+// An ayah found in several editions is listed once, from the best match.
+async function searchQuran({ query, editions, mode = 'word', surahs, juzs, page = 1, limit = 20 }) {
+  const best = new Map();
+
+  for (const edition of editions) {
+    const index = await editionIndex(edition);
+    searchIndex(index, query, { mode, surahs, juzs }).forEach(({ doc, score, terms }) => {
+      const ayah = index.docs[doc];
+      const current = best.get(ayah.number);
+      if (!current || current.score < score) best.set(ayah.number, { ayah, score, terms, index, edition });
+    });
+  }
+
+  const ranked = [...best.values()].sort((a, b) => b.score - a.score || a.ayah.number - b.ayah.number);
+  const results = ranked.slice((page - 1) * limit, page * limit).map(({ ayah, score, terms, index, edition }) => ({
+    number: ayah.number,
+    surah: surahSummary(ayah.surah),
+    numberInSurah: ayah.numberInSurah,
+    juz: ayah.juz,
+    page: ayah.page,
+    edition: edition.identifier,
+    text: ayah.text,
+    snippet: snippet(ayah.text, terms, index, mode),
+    score: Math.round(score * 1000) / 1000
+  }));
+
+  return {
+    total: ranked.length,
+    page,
+    limit,
+    totalPages: Math.ceil(ranked.length / limit),
+    results
+  };
+}
+
+module.exports = { searchQuran };
@@ -0,0 +1,204 @@
+const { db, run, get, all } = require('../config/sqlite');
+const { surahInfo, ayahCount, globalAyahNumber, juzOf, pageOf, SURAH_COUNT } = require('../config/quranMeta');
+
+// Local Quran text, one row per ayah per edition, loaded by scripts/importQuran.js.
+// Responses mirror the alquran.cloud payloads so clients don't notice the switch.
+db.run(
+  `CREATE TABLE IF NOT EXISTS quran_editions (
+    identifier TEXT PRIMARY KEY,
+    language TEXT NOT NULL,
+    name TEXT NOT NULL,
+    english_name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    direction TEXT,
+    imported_at TEXT NOT NULL
+  )`,
+  (err) => {
+    if (err) console.error('Create quran_editions table error:', err);
+  }
+);
+
+db.run(
+  `CREATE TABLE IF NOT EXISTS quran_ayahs (
+    edition TEXT NOT NULL,
+    surah INTEGER NOT NULL,
+    ayah INTEGER NOT NULL,
+    number INTEGER NOT NULL,
+    juz INTEGER NOT NULL,
+    page INTEGER,
+    text TEXT NOT NULL,
+    PRIMARY KEY (edition, surah, ayah)
+  )`,
+  (err) => {
+    if (err) console.error('Create quran_ayahs table error:', err);
+  }
+);
+
+db.run('CREATE INDEX IF NOT EXISTS quran_ayahs_juz ON quran_ayahs (edition, juz, number)', (err) => {
+  if (err) console.error('Create quran_ayahs_juz index error:', err);
+});
+
+function toEdition(row) {
+  return {
+    identifier: row.identifier,
+    language: row.language,
+    name: row.name,
+    englishName: row.english_name,
+    format: 'text',
+    type: row.type,
+    direction: row.direction || null
+  };
+}
+
+function toAyah(row) {
+  return {
+    number: row.number,
+    text: row.text,
+    numberInSurah: row.ayah,
+    juz: row.juz,
+    page: row.page
+  };
+}
+
+async function getEdition(identifier) {
+  const row = await get('SELECT * FROM quran_editions WHERE identifier = ?', [identifier]);
+  return row ? toEdition(row) : null;
+}
+
+// Optionally only one language and/or type
+async function listEditions({ language, type } = {}) {
+  const rows = await all('SELECT * FROM quran_editions ORDER BY type, language, identifier');
+  return rows
+    .filter((row) => (!language || row.language === language) && (!type || row.type === type))
+    .map(toEdition);
+}
+
+// Imported editions with when they were imported, so in-memory indexes
+// (services/quranSearch.js) can tell when to rebuild
+async function listImports() {
+  const rows = await all('SELECT * FROM quran_editions ORDER BY identifier');
+  return rows.map((row) => ({ ...toEdition(row), importedAt: row.imported_at }));
+}
+
+// Every ayah of an edition in mushaf order
+async function getEditionText(identifier) {
+  const rows = await all('SELECT * FROM quran_ayahs WHERE edition = ? ORDER BY number', [identifier]);
+  return rows.map((row) => ({ ...toAyah(row), surah: row.surah }));
+}
+
+// Surah list needs no imported text
+function getSurahs() {
+  const surahs = [];
+  for (let number = 1; number <= SURAH_COUNT; number += 1) surahs.push(surahInfo(number));
+  return surahs;
+}
+
+// null when the edition hasn't been imported
+async function getSurah(number, identifier) {
+  const edition = await getEdition(identifier);
+  if (!edition) return null;
+
+  const rows = await all(
+    'SELECT * FROM quran_ayahs WHERE edition = ? AND surah = ? ORDER BY ayah',
+    [identifier, number]
+  );
+  return { ...surahInfo(number), ayahs: rows.map(toAyah), edition };
+}
+
+async function getAyah(surah, ayah, identifier) {
+  const edition = await getEdition(identifier);
+  if (!edition) return null;
+
+  const row = await get(
+    'SELECT * FROM quran_ayahs WHERE edition = ? AND surah = ? AND ayah = ?',
+    [identifier, surah, ayah]
+  );
+  if (!row) return null;
+  return { ...toAyah(row), edition, surah: surahInfo(surah) };
+}
+
+async function getJuz(number, identifier) {
+  const edition = await getEdition(identifier);
+  if (!edition) return null;
+
+  const rows = await all(
+    'SELECT * FROM quran_ayahs WHERE edition = ? AND juz = ? ORDER BY number',
+    [identifier, number]
+  );
+  const surahs = {};
+  const ayahs = rows.map((row) => {
+    surahs[row.surah] = surahs[row.surah] || surahInfo(row.surah);
+    return { ...toAyah(row), surah: surahs[row.surah] };
+  });
+  return { number, ayahs, surahs, edition };
+}
+
+// Replace an edition with the given ayahs ([{ surah, ayah, text, juz?, page? }])
+async function importEdition(edition, ayahs) {
+  ayahs.forEach(({ surah, ayah }) => {
+    if (!Number.isInteger(surah) || !Number.isInteger(ayah)) {
+      throw new Error(`Ayah ${surah}:${ayah} is not a surah and ayah number`);
+    }
+    if (surah < 1 || surah > SURAH_COUNT || ayah < 1 || ayah > ayahCount(surah)) {
+      throw new Error(`Ayah ${surah}:${ayah} is out of range`);
+    }
+  });
+
+  await run('BEGIN');
+  try {
+    await run('DELETE FROM quran_ayahs WHERE edition = ?', [edition.identifier]);
+    await run(
+      `INSERT OR REPLACE INTO quran_editions
+        (identifier, language, name, english_name, type, direction, imported_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        edition.identifier,
+        edition.language,
+        edition.name || edition.identifier,
+        edition.englishName || edition.name || edition.identifier,
+        edition.type || 'quran',
+        edition.direction || null,
+        new Date().toISOString()
+      ]
+    );
+
+    const statement = db.prepare(
+      `INSERT INTO quran_ayahs (edition, surah, ayah, number, juz, page, text)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    );
+    await Promise.all(ayahs.map(({ surah, ayah, text, juz, page }) => new Promise((resolve, reject) => {
+      statement.run(
+        [
+          edition.identifier,
+          surah,
+          ayah,
+          globalAyahNumber(surah, ayah),
+          juz || juzOf(surah, ayah),
+          page || pageOf(surah, ayah),
+          text
+        ],
+        (err) => (err ? reject(err) : resolve())
+      );
+    })));
+    await new Promise((resolve) => statement.finalize(resolve));
+
+    await run('COMMIT');
+  } catch (error) {
+    await run('ROLLBACK');
+    throw error;
+  }
+
+  return ayahs.length;
+}
+
+module.exports = {
+  getEdition,
+  listEditions,
+  listImports,
+  getEditionText,
+  getSurahs,
+  getSurah,
+  getAyah,
+  getJuz,
+  importEdition
+};
@@ -0,0 +1,132 @@
+const storage = require('../storage');
+const { toHijri, toGregorian, hijriMonthLength } = require('./hijri');
+const { isoDate, daysBetween, shiftDate } = require('./prayerTimes');
+
+// Ramadan dates and the fasting tracker.
+//
+// Fasts are logged per user and day in 'fasts' ("<uid>:<YYYY-MM-DD>"), and
+// make-up fasts in 'fast_make_ups' the same way. Make-ups owed are the missed
+// fasts minus the make-ups logged, so there's no counter to drift.
+const RAMADAN = 9;
+const FAST_STATUSES = ['kept', 'missed'];
+
+// Gregorian days of Ramadan in a Hijri year
+function ramadanDays(hijriYear, adjustment = 0) {
+  const start = toGregorian({ year: hijriYear, month: RAMADAN, day: 1 }, adjustment);
+  return Array.from({ length: hijriMonthLength(hijriYear, RAMADAN) }, (_, i) => shiftDate(start, i));
+}
+
+// One Ramadan as seen from `today`: whether it's under way, which day it
+// is and how many of its days have begun
+function ramadanFor(hijriYear, today, adjustment = 0) {
+  const days = ramadanDays(hijriYear, adjustment);
+  const offset = daysBetween(isoDate(days[0]), isoDate(today));
+  const active = offset >= 0 && offset < days.length;
+
+  return {
+    hijriYear,
+    active,
+    day: active ? offset + 1 : null,
+    startDate: isoDate(days[0]),
+    endDate: isoDate(days[days.length - 1]),
+    days: days.length,
+    daysElapsed: Math.min(days.length, Math.max(0, offset + 1)),
+    daysUntilStart: Math.max(0, -offset)
+  };
+}
+
+// The Ramadan under way on `today`, else the next one
+function currentRamadan(today, adjustment = 0) {
+  const hijri = toHijri(today, adjustment);
+  return ramadanFor(hijri.month > RAMADAN ? hijri.year + 1 : hijri.year, today, adjustment);
+}
+
+// Ramadan day ({ hijriYear, day }) a Gregorian date falls on, or null
+function ramadanDayOf(date, adjustment = 0) {
+  const hijri = toHijri(date, adjustment);
+  return hijri.month === RAMADAN ? { hijriYear: hijri.year, day: hijri.day } : null;
+}
+
+const fastView = ({ date, hijriYear, day, status, updatedAt }) => ({ date, hijriYear, day, status, updatedAt });
+
+async function listFasts(userId, hijriYear) {
+  const fasts = await storage.list('fasts', { orderBy: 'date', where: { userId } });
+  return fasts.filter((fast) => hijriYear === undefined || fast.hijriYear === hijriYear).map(fastView);
+}
+
+// `ramadanDay` comes from ramadanDayOf, with the user's adjustment at the time
+async function recordFast(userId, date, ramadanDay, status) {
+  const fast = {
+    userId,
+    date,
+    hijriYear: ramadanDay.hijriYear,
+    day: ramadanDay.day,
+    status,
+    updatedAt: new Date().toISOString()
+  };
+  await storage.set('fasts', `${userId}:${date}`, fast);
+  return fastView(fast);
+}
+
+// false when nothing was logged for that date
+async function clearFast(userId, date) {
+  const id = `${userId}:${date}`;
+  if (!await storage.get('fasts', id)) return false;
+  await storage.remove('fasts', id);
+  return true;
+}
+
+async function listMakeUps(userId) {
+  const makeUps = await storage.list('fast_make_ups', { orderBy: 'date', where: { userId } });
+  return makeUps.map(({ date, createdAt }) => ({ date, createdAt }));
+}
+
+async function makeUpSummary(userId) {
+  const [fasts, makeUps] = await Promise.all([listFasts(userId), listMakeUps(userId)]);
+  const missed = fasts.filter((fast) => fast.status === 'missed').length;
+  return {
+    missed,
+    madeUp: makeUps.length,
+    owed: Math.max(0, missed - makeUps.length),
+    makeUps
+  };
+}
+
+// Resolves to 'none-owed', 'duplicate' or the updated summary
+async function logMakeUp(userId, date) {
+  const id = `${userId}:${date}`;
+  if (await storage.get('fast_make_ups', id)) return 'duplicate';
+  if ((await makeUpSummary(userId)).owed < 1) return 'none-owed';
+
+  await storage.set('fast_make_ups', id, { userId, date, createdAt: new Date().toISOString() });
+  return makeUpSummary(userId);
+}
+
+async function removeMakeUp(userId, date) {
+  const id = `${userId}:${date}`;
+  if (!await storage.get('fast_make_ups', id)) return false;
+  await storage.remove('fast_make_ups', id);
+  return true;
+}
+
+// Kept/missed/unrecorded for one Ramadan (from ramadanFor), so far
+function fastSummary(fasts, ramadan) {
+  const kept = fasts.filter((fast) => fast.status === 'kept').length;
+  const missed = fasts.filter((fast) => fast.status === 'missed').length;
+  return { kept, missed, unrecorded: Math.max(0, ramadan.daysElapsed - kept - missed) };
+}
+
+module.exports = {
+  FAST_STATUSES,
+  ramadanDays,
+  ramadanFor,
+  currentRamadan,
+  ramadanDayOf,
+  listFasts,
+  recordFast,
+  clearFast,
+  makeUpSummary,
+  logMakeUp,
+  removeMakeUp,
+  fastSummary
+};
@@ -0,0 +1,102 @@
+const { db, run, get } = require('../config/sqlite');
+
+// Counter stores for rate limiting. Both expose:
+//   hit(key, windowMs) -> { count, resetAt }   count within the current window
+//   get(key)           -> { count, resetAt } | null
+//   reset(key)
+// Use the SQLite store when several instances share one database file.
+
+function createMemoryStore() {
+  const counters = new Map();
+
+  // Drop expired windows now and then so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = counters.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+function createSqliteStore() {
+  db.run(
+    `CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    )`,
+    (err) => {
+      if (err) console.error('Create rate_limits table error:', err);
+    }
+  );
+
+  setInterval(() => {
+    run('DELETE FROM rate_limits WHERE reset_at <= ?', [Date.now()]).catch((err) => {
+      console.error('Prune rate_limits error:', err);
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      // Single upsert so concurrent instances don't lose increments
+      await run(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+           reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END`,
+        [key, now + windowMs, now, now]
+      );
+      const row = await get('SELECT count, reset_at FROM rate_limits WHERE key = ?', [key]);
+      return { count: row.count, resetAt: row.reset_at };
+    },
+
+    async get(key) {
+      const row = await get('SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?', [
+        key,
+        Date.now()
+      ]);
+      return row ? { count: row.count, resetAt: row.reset_at } : null;
+    },
+
+    async reset(key) {
+      await run('DELETE FROM rate_limits WHERE key = ?', [key]);
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryStore,
+  sqlite: createSqliteStore
+};
+
+function createStore(type) {
+  if (!stores[type]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${type}"`);
+  }
+  return stores[type]();
+}
+
+module.exports = { createStore };
@@ -0,0 +1,161 @@
+const storage = require('../storage');
+const { DEFAULT_RECITERS } = require('../config/reciters');
+const { ayahCount, globalAyahNumber } = require('../config/quranMeta');
+
+// Reciter catalog and audio URLs.
+//
+// 'reciters' holds catalog changes keyed by slug: added reciters, edited
+// built-ins (the whole record) and removed built-ins ({ removed: true }, so
+// they don't come back from config/reciters.js). Ayah timings within the
+// whole-surah files are in 'reciter_timings' ("<reciter>:<surah>"), as
+// { ayah, start, end } segments in milliseconds.
+const RECITER_FIELDS = ['name', 'arabicName', 'style', 'bitrate', 'surahUrl', 'ayahUrl'];
+
+const reciterView = (id, record) => {
+  const reciter = { id };
+  RECITER_FIELDS.forEach((field) => {
+    reciter[field] = record[field] === undefined ? null : record[field];
+  });
+  return reciter;
+};
+
+async function listReciters({ style } = {}) {
+  const stored = await storage.list('reciters', { orderBy: 'name' });
+  const records = { ...DEFAULT_RECITERS };
+  stored.forEach(({ id, ...record }) => {
+    records[id] = record;
+  });
+
+  return Object.entries(records)
+    .filter(([, record]) => !record.removed && (!style || record.style === style))
+    .map(([id, record]) => reciterView(id, record))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// null for unknown or removed reciters
+async function getReciter(id) {
+  const stored = await storage.get('reciters', id);
+  const record = stored || DEFAULT_RECITERS[id];
+  return record && !record.removed ? reciterView(id, record) : null;
+}
+
+// false when the slug is taken
+async function addReciter(id, fields, userId) {
+  if (await getReciter(id)) return false;
+  const now = new Date().toISOString();
+  await storage.set('reciters', id, { ...fields, createdAt: now, createdBy: userId });
+  return reciterView(id, fields);
+}
+
+// null for unknown reciters
+async function updateReciter(id, fields, userId) {
+  const current = (await storage.get('reciters', id)) || DEFAULT_RECITERS[id];
+  if (!current || current.removed) return null;
+
+  const updated = { ...current, ...fields, updatedAt: new Date().toISOString(), updatedBy: userId };
+  delete updated.id;
+  await storage.set('reciters', id, updated);
+  return reciterView(id, updated);
+}
+
+async function removeReciter(id) {
+  if (!await getReciter(id)) return false;
+  if (DEFAULT_RECITERS[id]) {
+    await storage.set('reciters', id, { name: DEFAULT_RECITERS[id].name, removed: true });
+  } else {
+    await storage.remove('reciters', id);
+  }
+  return true;
+}
+
+async function getTimings(reciterId, surah) {
+  const timings = await storage.get('reciter_timings', `${reciterId}:${surah}`);
+  return timings ? timings.segments : null;
+}
+
+async function saveTimings(reciterId, surah, segments, userId) {
+  await storage.set('reciter_timings', `${reciterId}:${surah}`, {
+    reciterId,
+    surah,
+    segments,
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId
+  });
+}
+
+async function removeTimings(reciterId, surah) {
+  const id = `${reciterId}:${surah}`;
+  if (!await storage.get('reciter_timings', id)) return false;
+  await storage.remove('reciter_timings', id);
+  return true;
+}
+
+// Why a surah's segments are unusable, or undefined: one per ayah in order,
+// each ending after it starts and not before the previous one ends
+function timingsError(segments, surah) {
+  if (segments.length !== ayahCount(surah)) {
+    return `must have one segment for each of the ${ayahCount(surah)} ayahs`;
+  }
+  for (let i = 0; i < segments.length; i += 1) {
+    const segment = segments[i];
+    if (!segment || typeof segment !== 'object' || segment.ayah !== i + 1) {
+      return `item ${i + 1} must be the segment for ayah ${i + 1}`;
+    }
+    if (!Number.isInteger(segment.start) || !Number.isInteger(segment.end) || segment.start < 0 || segment.end <= segment.start) {
+      return `item ${i + 1} needs whole-millisecond start and end, with end after start`;
+    }
+    if (i > 0 && segment.start < segments[i - 1].end) {
+      return `item ${i + 1} starts before ayah ${i} ends`;
+    }
+  }
+  return undefined;
+}
+
+const pad = (n) => String(n).padStart(3, '0');
+const joinUrl = (base, file) => `${base.replace(/\/+$/, '')}/${file}`;
+
+// Whole-surah and per-ayah URLs for ayahs `from`..`to`, with each ayah's
+// place in the surah file when timings are known. `range` is what a client
+// loops in the surah file to repeat those ayahs.
+async function surahAudio(reciter, surah, from = 1, to = ayahCount(surah)) {
+  const segments = await getTimings(reciter.id, surah);
+  const ayahs = [];
+  for (let ayah = from; ayah <= to; ayah += 1) {
+    const segment = segments && segments[ayah - 1];
+    ayahs.push({
+      ayah,
+      number: globalAyahNumber(surah, ayah),
+      audioUrl: reciter.ayahUrl ? joinUrl(reciter.ayahUrl, `${pad(surah)}${pad(ayah)}.mp3`) : null,
+      start: segment ? segment.start : null,
+      end: segment ? segment.end : null
+    });
+  }
+
+  return {
+    audioUrl: reciter.surahUrl ? joinUrl(reciter.surahUrl, `${pad(surah)}.mp3`) : null,
+    reciter,
+    surah,
+    timings: Boolean(segments),
+    range: {
+      from,
+      to,
+      start: segments ? segments[from - 1].start : null,
+      end: segments ? segments[to - 1].end : null
+    },
+    ayahs
+  };
+}
+
+module.exports = {
+  RECITER_FIELDS,
+  listReciters,
+  getReciter,
+  addReciter,
+  updateReciter,
+  removeReciter,
+  getTimings,
+  saveTimings,
+  removeTimings,
+  timingsError,
+  surahAudio
+};
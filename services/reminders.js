@@ -0,0 +1,173 @@
+const storage = require('../storage');
+const {
+  calculatePrayerTimes,
+  todayIn,
+  toUtcTime,
+  isoDate,
+  shiftDate
+} = require('./prayerTimes');
+const {
+  REMINDER_PRAYERS,
+  withDefaults,
+  calculationSettings,
+  preferredCity
+} = require('./prayerPreferences');
+const { tokensFor, forgetTokens } = require('./devices');
+const { sendPush } = require('./push');
+
+// Background job: every REMINDER_INTERVAL_SECONDS, push a reminder to each
+// user's devices `minutesBefore` their opted-in prayers, using the location
+// and calculation settings saved in their prayer preferences. Each reminder
+// is claimed in storage (insert-if-absent) before it goes out, so restarts
+// and overlapping instances don't send it twice. Users whose saved city
+// doesn't resolve in the gazetteer get no reminders; the preferences
+// response says so (see reminderIssue in prayerPreferences).
+const REMINDER_INTERVAL_SECONDS = parseInt(process.env.REMINDER_INTERVAL_SECONDS || '60', 10);
+// Reminders noticed late (e.g. just after a restart) are still sent within this window
+const REMINDER_GRACE_MINUTES = parseInt(process.env.REMINDER_GRACE_MINUTES || '5', 10);
+const REMINDER_LOG_DAYS = 2;
+
+const capitalize = (name) => `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+// Opted-in prayers whose reminder time has just passed
+function dueReminders(preferences, place, now) {
+  const { minutesBefore, prayers } = preferences.notifications;
+  const settings = calculationSettings({}, preferences);
+  const today = todayIn(place.timezone);
+  const due = [];
+
+  // Yesterday and tomorrow catch reminders that cross local midnight
+  [shiftDate(today, -1), today, shiftDate(today, 1)].forEach((date) => {
+    const { times, hours, timezoneOffset } = calculatePrayerTimes({
+      date,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      timezone: place.timezone,
+      ...settings
+    });
+
+    REMINDER_PRAYERS.forEach((prayer) => {
+      if (!prayers[prayer] || !Number.isFinite(hours[prayer])) return;
+
+      const remindAt = toUtcTime(date, hours[prayer], timezoneOffset) - minutesBefore * 60000;
+      if (remindAt <= now && now - remindAt <= REMINDER_GRACE_MINUTES * 60000) {
+        due.push({
+          prayer,
+          date: isoDate(date),
+          time: times[prayer],
+          minutesBefore
+        });
+      }
+    });
+  });
+
+  return due;
+}
+
+function reminderMessage(reminder, place) {
+  const name = capitalize(reminder.prayer);
+  return {
+    title: reminder.minutesBefore ? `${name} in ${reminder.minutesBefore} minutes` : `${name} time`,
+    body: `${name} is at ${reminder.time} in ${place.name}`,
+    data: {
+      type: 'prayer-reminder',
+      prayer: reminder.prayer,
+      date: reminder.date,
+      time: reminder.time
+    }
+  };
+}
+
+async function remindUser(uid, saved, now) {
+  const preferences = withDefaults(saved);
+  if (!REMINDER_PRAYERS.some((prayer) => preferences.notifications.prayers[prayer])) return 0;
+
+  const place = preferredCity(preferences);
+  if (!place) return 0;
+
+  let sent = 0;
+  for (const reminder of dueReminders(preferences, place, now)) {
+    const key = `${uid}:${reminder.date}:${reminder.prayer}`;
+    if (await storage.get('prayer_reminders', key)) continue;
+
+    const tokens = await tokensFor(uid);
+    if (!tokens.length) break;
+
+    const claimed = await storage.create('prayer_reminders', key, {
+      userId: uid,
+      prayer: reminder.prayer,
+      date: reminder.date,
+      sentAt: new Date(now).toISOString()
+    });
+    if (!claimed) continue;
+
+    const { invalidTokens } = await sendPush({ tokens, ...reminderMessage(reminder, place) });
+    if (invalidTokens.length) await forgetTokens(invalidTokens);
+    sent += 1;
+  }
+  return sent;
+}
+
+async function pruneReminderLog(now) {
+  const cutoff = new Date(now - REMINDER_LOG_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const entries = await storage.list('prayer_reminders', { orderBy: 'sentAt' });
+  await Promise.all(entries
+    .filter((entry) => entry.sentAt < cutoff)
+    .map((entry) => storage.remove('prayer_reminders', entry.id)));
+}
+
+let lastPrunedAt = 0;
+
+// One pass over every user's preferences; resolves to the number of reminders sent
+async function runReminders(now = Date.now()) {
+  const users = await storage.list('prayer_preferences');
+  let sent = 0;
+
+  for (const saved of users) {
+    try {
+      sent += await remindUser(saved.id, saved, now);
+    } catch (error) {
+      console.error(`Prayer reminder error for ${saved.id}:`, error);
+    }
+  }
+
+  if (now - lastPrunedAt > 60 * 60 * 1000) {
+    lastPrunedAt = now;
+    await pruneReminderLog(now);
+  }
+  return sent;
+}
+
+let timer = null;
+
+function startReminderScheduler() {
+  if (timer || process.env.REMINDER_SCHEDULER === 'false') return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runReminders();
+    } catch (error) {
+      console.error('Prayer reminder run error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, REMINDER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  tick();
+}
+
+function stopReminderScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runReminders,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,225 @@
+const storage = require('../storage');
+const { isoDate, addDays } = require('./prayerTimes');
+
+// Daily salah log and qaza (missed prayer) ledger.
+//
+// One 'salah_log' document per user and day ("<uid>:<YYYY-MM-DD>") holds the
+// status of each prayer. Marking a prayer missed adds it to the user's
+// 'qaza_ledger'; logging a make-up takes it off again. Every ledger change
+// is also kept in 'qaza_entries' so users can see where the count came from.
+const SALAH_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const SALAH_STATUSES = ['on-time', 'late', 'missed'];
+
+const emptyCounts = () => Object.fromEntries(SALAH_PRAYERS.map((prayer) => [prayer, 0]));
+
+const toLedger = (ledger) => ({
+  owed: { ...emptyCounts(), ...(ledger && ledger.owed) },
+  madeUp: { ...emptyCounts(), ...(ledger && ledger.madeUp) },
+  updatedAt: ledger ? ledger.updatedAt : null
+});
+
+async function loadLedger(userId) {
+  return toLedger(await storage.get('qaza_ledger', userId));
+}
+
+const ledgerView = (ledger) => ({
+  ...ledger,
+  totalOwed: SALAH_PRAYERS.reduce((sum, prayer) => sum + ledger.owed[prayer], 0),
+  totalMadeUp: SALAH_PRAYERS.reduce((sum, prayer) => sum + ledger.madeUp[prayer], 0)
+});
+
+// Apply one change to the ledger and record it. A make-up needs at least that
+// many owed, otherwise nothing changes and this resolves to null.
+async function changeLedger(userId, { prayer, change, reason, date = null }) {
+  const updatedAt = new Date().toISOString();
+  let applied = false;
+
+  const ledger = toLedger(await storage.transaction('qaza_ledger', userId, (current) => {
+    const next = toLedger(current);
+    applied = reason !== 'make-up' || next.owed[prayer] >= -change;
+    if (!applied) return current;
+
+    if (reason === 'make-up') {
+      next.owed[prayer] += change;
+      next.madeUp[prayer] -= change;
+    } else if (change > 0) {
+      next.owed[prayer] += change;
+    } else {
+      // Taking back a miss that was already made up undoes the make-up
+      const fromOwed = Math.min(next.owed[prayer], -change);
+      next.owed[prayer] -= fromOwed;
+      next.madeUp[prayer] = Math.max(0, next.madeUp[prayer] + change + fromOwed);
+    }
+    next.updatedAt = updatedAt;
+    return { userId, ...next };
+  }));
+  if (!applied) return null;
+
+  await storage.push('qaza_entries', {
+    userId,
+    prayer,
+    change,
+    reason,
+    date,
+    createdAt: updatedAt
+  });
+  return ledgerView(ledger);
+}
+
+const dayView = (day) => ({
+  date: day.date,
+  prayers: { ...Object.fromEntries(SALAH_PRAYERS.map((prayer) => [prayer, null])), ...day.prayers }
+});
+
+async function getDays(userId, from, to) {
+  const days = await storage.list('salah_log', { orderBy: 'date', where: { userId } });
+  return days.filter((day) => day.date >= from && day.date <= to).map(dayView);
+}
+
+// Set (status) or clear (null) one prayer; keeps the qaza ledger in step
+async function recordPrayer(userId, date, prayer, status) {
+  let previous = null;
+  let prayers = {};
+
+  await storage.transaction('salah_log', `${userId}:${date}`, (existing) => {
+    prayers = { ...(existing && existing.prayers) };
+    previous = prayers[prayer] || null;
+
+    if (status) prayers[prayer] = status;
+    else delete prayers[prayer];
+
+    return Object.keys(prayers).length
+      ? { userId, date, prayers, updatedAt: new Date().toISOString() }
+      : null;
+  });
+
+  if (previous !== 'missed' && status === 'missed') {
+    await changeLedger(userId, { prayer, change: 1, reason: 'missed', date });
+  } else if (previous === 'missed' && status !== 'missed') {
+    await changeLedger(userId, { prayer, change: -1, reason: 'unmarked', date });
+  }
+
+  return { previous, day: dayView({ date, prayers }) };
+}
+
+async function getLedger(userId) {
+  return ledgerView(await loadLedger(userId));
+}
+
+// Missed prayers from before the user started tracking
+async function addQaza(userId, prayer, count) {
+  return changeLedger(userId, { prayer, change: count, reason: 'added' });
+}
+
+// null when fewer than `count` are owed for that prayer
+async function logMakeUp(userId, prayer, count) {
+  return changeLedger(userId, { prayer, change: -count, reason: 'make-up' });
+}
+
+async function ledgerHistory(userId, limit) {
+  const entries = await storage.list('qaza_entries', { orderBy: 'createdAt', where: { userId }, limitToLast: limit });
+  return entries.reverse().map(({ id, prayer, change, reason, date, createdAt }) => ({
+    id, prayer, change, reason, date, createdAt
+  }));
+}
+
+// Runs of consecutive days on which all five prayers were prayed (on time or
+// late), and on which all five were on time. Today still counts toward the
+// current streak while it's in progress.
+async function getStreaks(userId, today) {
+  const days = await storage.list('salah_log', { orderBy: 'date', where: { userId } });
+  const prayed = new Set();
+  const onTime = new Set();
+  days.forEach((day) => {
+    const statuses = SALAH_PRAYERS.map((prayer) => day.prayers[prayer]);
+    if (statuses.every((status) => status === 'on-time' || status === 'late')) prayed.add(day.date);
+    if (statuses.every((status) => status === 'on-time')) onTime.add(day.date);
+  });
+
+  const streak = (dates) => {
+    let current = 0;
+    let cursor = dates.has(today) ? today : addDays(today, -1);
+    while (dates.has(cursor)) {
+      current += 1;
+      cursor = addDays(cursor, -1);
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    [...dates].sort().forEach((date) => {
+      run = previous && addDays(previous, 1) === date ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    });
+
+    return { current, longest };
+  };
+
+  return { today, prayed: streak(prayed), onTime: streak(onTime) };
+}
+
+// Calendar week (Monday first) or month containing `date`
+function periodRange(period, date) {
+  if (period === 'month') {
+    const [year, month] = date.split('-').map((part) => parseInt(part, 10));
+    const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { from: isoDate({ year, month, day: 1 }), to: isoDate({ year, month, day: last }) };
+  }
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const from = addDays(date, -weekday);
+  return { from, to: addDays(from, 6) };
+}
+
+const STAT_KEYS = { 'on-time': 'onTime', late: 'late', missed: 'missed' };
+const emptyStats = () => ({ onTime: 0, late: 0, missed: 0, unrecorded: 0 });
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Counts per status and prayer; days after `today` aren't counted
+async function getStats(userId, period, date, today) {
+  const { from, to } = periodRange(period, date);
+  const until = to < today ? to : today;
+  const logged = new Map((await getDays(userId, from, until)).map((day) => [day.date, day]));
+
+  const totals = emptyStats();
+  const prayers = Object.fromEntries(SALAH_PRAYERS.map((prayer) => [prayer, emptyStats()]));
+  const days = [];
+
+  for (let cursor = from; cursor <= until; cursor = addDays(cursor, 1)) {
+    const day = logged.get(cursor) || dayView({ date: cursor, prayers: {} });
+    const counts = emptyStats();
+    SALAH_PRAYERS.forEach((prayer) => {
+      const key = STAT_KEYS[day.prayers[prayer]] || 'unrecorded';
+      counts[key] += 1;
+      totals[key] += 1;
+      prayers[prayer][key] += 1;
+    });
+    days.push({ date: cursor, ...counts });
+  }
+
+  const expected = days.length * SALAH_PRAYERS.length;
+  return {
+    period,
+    from,
+    to,
+    daysCounted: days.length,
+    totals,
+    onTimeRate: percent(totals.onTime, expected),
+    prayedRate: percent(totals.onTime + totals.late, expected),
+    prayers,
+    days
+  };
+}
+
+module.exports = {
+  SALAH_PRAYERS,
+  SALAH_STATUSES,
+  getDays,
+  recordPrayer,
+  getLedger,
+  addQaza,
+  logMakeUp,
+  ledgerHistory,
+  getStreaks,
+  getStats
+};
@@ -0,0 +1,143 @@
+const PDFDocument = require('pdfkit');
+const { toUtcTime, isoDate } = require('./prayerTimes');
+
+// Renders a prayer timetable ({ title, location, method, school, timezone, days })
+// as CSV, iCalendar or PDF. `days` come from calculateTimetable.
+
+const COLUMNS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const CALENDAR_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const capitalize = (name) => `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+function toCsv(timetable) {
+  const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const lines = [['Date', ...COLUMNS.map(capitalize)].join(',')];
+
+  timetable.days.forEach(({ date, times }) => {
+    lines.push([isoDate(date), ...COLUMNS.map((name) => quote(times[name] || ''))].join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// iCalendar text escaping and 75-octet line folding (RFC 5545)
+const escapeText = (value) => value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+const fold = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut -= 1;
+    chunks.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n');
+};
+const icsTimestamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function toIcs(timetable, { uidDomain = 'raax' } = {}) {
+  const stamp = icsTimestamp(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Raax//Prayer Times//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Prayer times – ${timetable.location}`)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:P1D',
+    'X-PUBLISHED-TTL:P1D'
+  ];
+
+  timetable.days.forEach(({ date, hours, timezoneOffset }) => {
+    CALENDAR_PRAYERS.forEach((name) => {
+      if (!Number.isFinite(hours[name])) return;
+
+      const start = toUtcTime(date, hours[name], timezoneOffset);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${isoDate(date)}-${name}-${timetable.latitude},${timetable.longitude}@${uidDomain}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsTimestamp(start)}`,
+        'DURATION:PT15M',
+        `SUMMARY:${capitalize(name)}`,
+        `LOCATION:${escapeText(timetable.location)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+// Printable A4 sheet, one page per month
+function toPdf(timetable) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: timetable.title } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const byMonth = [];
+    timetable.days.forEach((day) => {
+      const last = byMonth[byMonth.length - 1];
+      if (last && last.month === day.date.month) last.days.push(day);
+      else byMonth.push({ month: day.date.month, year: day.date.year, days: [day] });
+    });
+
+    const widths = [70, 40, ...COLUMNS.map(() => 66)];
+    const rowHeight = 20;
+
+    byMonth.forEach(({ month, year, days }, index) => {
+      if (index > 0) doc.addPage();
+
+      doc.font('Helvetica-Bold').fontSize(16)
+        .text(`Prayer times – ${MONTH_NAMES[month - 1]} ${year}`);
+      doc.font('Helvetica').fontSize(10)
+        .text(timetable.location)
+        .text(`${timetable.method.name} · Asr: ${capitalize(timetable.school)} · ${timetable.timezone}`)
+        .moveDown();
+
+      const drawRow = (cells, y, bold) => {
+        let x = doc.page.margins.left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        cells.forEach((cell, i) => {
+          doc.text(cell, x, y + 6, { width: widths[i], align: i < 2 ? 'left' : 'center', lineBreak: false });
+          x += widths[i];
+        });
+      };
+
+      let y = doc.y;
+      drawRow(['Date', 'Day', ...COLUMNS.map(capitalize)], y, true);
+      y += rowHeight;
+
+      days.forEach(({ date, times }) => {
+        const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+        // Shade Fridays
+        if (weekday === 5) {
+          doc.rect(doc.page.margins.left, y, widths.reduce((a, b) => a + b, 0), rowHeight)
+            .fill('#eeeeee');
+          doc.fillColor('black');
+        }
+        drawRow([isoDate(date), WEEKDAYS[weekday], ...COLUMNS.map((name) => times[name] || '-')], y, false);
+        y += rowHeight;
+      });
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  toCsv,
+  toIcs,
+  toPdf
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { db, run, get, addColumnIfMissing } = require('../config/sqlite');
+const { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require('../config/app');
+
+// Short-lived JWT access tokens + rotating opaque refresh tokens (SQLite auth only).
+// Refresh tokens are stored hashed; each login starts a "family" and every
+// refresh replaces the token in it. Presenting an already-rotated token means
+// it was copied, so the whole family is revoked.
+db.run(
+  `CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    family_id TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    replaced_by TEXT
+  )`,
+  (err) => {
+    if (err) console.error('Create refresh_tokens table error:', err);
+  }
+);
+
+// Access tokens revoked before expiry (logout), keyed by jti
+db.run(
+  `CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL
+  )`,
+  (err) => {
+    if (err) console.error('Create revoked_tokens table error:', err);
+  }
+);
+
+// "Log out all devices" bumps the user's token generation; access tokens
+// carry the generation they were issued in and older ones are rejected
+const migrated = addColumnIfMissing('users', 'token_generation', 'INTEGER NOT NULL DEFAULT 0').catch((err) => {
+  console.error('Migrate users.token_generation error:', err);
+});
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createAccessToken(user, generation) {
+  return jwt.sign({ id: user.id, email: user.email, gen: generation }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: uuidv4()
+  });
+}
+
+async function createRefreshToken(userId, familyId = uuidv4()) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const id = uuidv4();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await run(
+    `INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, userId, familyId, hashToken(token), now.toISOString(), expiresAt.toISOString()]
+  );
+  return { id, token };
+}
+
+async function tokenGeneration(userId) {
+  await migrated;
+  const row = await get('SELECT token_generation FROM users WHERE id = ?', [userId]);
+  return row ? row.token_generation : 0;
+}
+
+async function createTokenPair(user, familyId) {
+  const accessToken = createAccessToken(user, await tokenGeneration(user.id));
+  const refresh = await createRefreshToken(user.id, familyId);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    refreshId: refresh.id,
+    tokens: {
+      token: accessToken,
+      refreshToken: refresh.token,
+      expiresIn: exp - Math.floor(Date.now() / 1000)
+    }
+  };
+}
+
+// Access + refresh token pair returned by login/register
+async function issueTokens(user) {
+  const { tokens } = await createTokenPair(user);
+  return tokens;
+}
+
+// Exchange a refresh token for a new pair, retiring the old one
+async function rotateRefreshToken(refreshToken) {
+  const row = await get(
+    `SELECT r.id, r.user_id, r.family_id, r.expires_at, r.revoked_at, u.email
+     FROM refresh_tokens r JOIN users u ON u.id = r.user_id
+     WHERE r.token_hash = ?`,
+    [hashToken(String(refreshToken))]
+  );
+
+  if (!row) throw new TokenError('Invalid refresh token');
+
+  if (row.revoked_at) {
+    // Reuse of a rotated/revoked token: cut off every session in the family
+    await revokeRefreshFamily(row.family_id);
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  if (new Date(row.expires_at) <= new Date()) {
+    throw new TokenError('Refresh token expired');
+  }
+
+  // Claim the token before issuing, so two concurrent refreshes can't both win
+  const claimed = await run(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), row.id]
+  );
+  if (!claimed.changes) {
+    await revokeRefreshFamily(row.family_id);
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  const { refreshId, tokens } = await createTokenPair({ id: row.user_id, email: row.email }, row.family_id);
+  await run('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [refreshId, row.id]);
+
+  return { userId: row.user_id, ...tokens };
+}
+
+async function revokeRefreshFamily(familyId) {
+  await run(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), familyId]
+  );
+}
+
+// Revoke the session a refresh token belongs to (single-device logout)
+async function revokeRefreshToken(refreshToken, userId) {
+  const row = await get('SELECT family_id FROM refresh_tokens WHERE token_hash = ? AND user_id = ?', [
+    hashToken(String(refreshToken)),
+    userId
+  ]);
+  if (row) await revokeRefreshFamily(row.family_id);
+}
+
+async function revokeAccessToken(decoded) {
+  if (!decoded.jti) return;
+
+  const now = Math.floor(Date.now() / 1000);
+  await run('DELETE FROM revoked_tokens WHERE expires_at < ?', [now]);
+  await run('INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)', [
+    decoded.jti,
+    decoded.exp || now
+  ]);
+}
+
+// Log out all devices
+async function revokeAllForUser(userId) {
+  await migrated;
+  await run('UPDATE users SET token_generation = token_generation + 1 WHERE id = ?', [userId]);
+  await run('UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL', [
+    new Date().toISOString(),
+    userId
+  ]);
+}
+
+// Checked by `authenticateToken` on every request
+async function isAccessTokenRevoked(decoded) {
+  if (decoded.jti) {
+    const revoked = await get('SELECT jti FROM revoked_tokens WHERE jti = ?', [decoded.jti]);
+    if (revoked) return true;
+  }
+
+  await migrated;
+  const user = await get('SELECT token_generation FROM users WHERE id = ?', [decoded.id]);
+  if (!user) return true;
+  // Tokens from before generations existed count as generation 0
+  return (decoded.gen || 0) < user.token_generation;
+}
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllForUser,
+  isAccessTokenRevoked
+};
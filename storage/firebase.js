@@ -0,0 +1,87 @@
+const { db } = require('../config/firebase');
+
+function toItems(snapshot) {
+  const items = [];
+  snapshot.forEach((childSnapshot) => {
+    items.push({
+      id: childSnapshot.key,
+      ...childSnapshot.val()
+    });
+  });
+  return items;
+}
+
+function compareBy(field) {
+  return (a, b) => {
+    if (a[field] === b[field]) return 0;
+    if (a[field] === undefined) return -1;
+    if (b[field] === undefined) return 1;
+    return a[field] < b[field] ? -1 : 1;
+  };
+}
+
+async function get(collection, id) {
+  const snapshot = await db.ref(`${collection}/${id}`).once('value');
+  if (!snapshot.exists()) return null;
+  return { id, ...snapshot.val() };
+}
+
+async function list(collection, { orderBy, where, limitToLast } = {}) {
+  let query = db.ref(collection);
+  const filters = Object.entries(where || {});
+
+  if (filters.length > 1) {
+    throw new Error('Firebase storage supports a single where field');
+  }
+
+  if (filters.length) {
+    // Realtime Database allows one orderByChild per query, so filter
+    // server-side and sort/limit the (smaller) result here
+    const [field, value] = filters[0];
+    query = query.orderByChild(field).equalTo(value);
+  } else if (orderBy) {
+    query = query.orderByChild(orderBy);
+    if (limitToLast) query = query.limitToLast(limitToLast);
+  }
+
+  const snapshot = await query.once('value');
+  if (!snapshot.exists()) return [];
+
+  let items = toItems(snapshot);
+  if (filters.length) {
+    if (orderBy) items.sort(compareBy(orderBy));
+    if (limitToLast) items = items.slice(-limitToLast);
+  }
+  return items;
+}
+
+async function push(collection, data) {
+  const ref = await db.ref(collection).push(data);
+  return ref.key;
+}
+
+async function set(collection, id, data) {
+  await db.ref(`${collection}/${id}`).set(data);
+}
+
+// A transaction, so two writers can't both see the id as free
+async function create(collection, id, data) {
+  const { committed } = await db.ref(`${collection}/${id}`)
+    .transaction((current) => (current === null ? data : undefined));
+  return committed;
+}
+
+async function update(collection, id, data) {
+  await db.ref(`${collection}/${id}`).update(data);
+}
+
+async function remove(collection, id) {
+  await db.ref(`${collection}/${id}`).remove();
+}
+
+async function transaction(collection, id, update) {
+  const { snapshot } = await db.ref(`${collection}/${id}`).transaction(update);
+  return snapshot.val();
+}
+
+module.exports = { get, list, push, set, create, update, remove, transaction };
@@ -0,0 +1,20 @@
+const { STORAGE_BACKEND } = require('../config/app');
+
+// Repository used by the content routes. Both adapters expose the same API:
+//   get(collection, id)                      -> { id, ...data } | null
+//   list(collection, { orderBy, where, limitToLast }) -> [{ id, ...data }] ascending by orderBy
+//   push(collection, data)                   -> new id
+//   set(collection, id, data)
+//   create(collection, id, data)             -> false if the id already exists (atomic)
+//   update(collection, id, data)
+//   remove(collection, id)
+//   transaction(collection, id, update)      -> the data written (atomic)
+// `where` is an equality filter such as { category: 'fiqh' }.
+// `update` gets the current data (null if absent, no id) and returns the new
+// data, or null to remove it. It runs again whenever another write got in
+// first, so it must not have side effects beyond the last run.
+const storage = STORAGE_BACKEND === 'firebase'
+  ? require('./firebase')
+  : require('./sqlite');
+
+module.exports = storage;
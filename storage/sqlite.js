@@ -0,0 +1,128 @@
+const { v4: uuidv4 } = require('uuid');
+const { db, run, get: getRow, all } = require('../config/sqlite');
+
+// Documents are stored as JSON, one row per (collection, id), mirroring
+// the Realtime Database layout of `collection/id`
+db.run(
+  `CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  )`,
+  (err) => {
+    if (err) console.error('Create documents table error:', err);
+  }
+);
+
+function fieldPath(field) {
+  if (!/^[A-Za-z0-9_]+$/.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+  return `$.${field}`;
+}
+
+function toItem(row) {
+  return { id: row.id, ...JSON.parse(row.data) };
+}
+
+async function get(collection, id) {
+  const row = await getRow(
+    'SELECT id, data FROM documents WHERE collection = ? AND id = ?',
+    [collection, id]
+  );
+  return row ? toItem(row) : null;
+}
+
+async function list(collection, { orderBy, where, limitToLast } = {}) {
+  const conditions = ['collection = ?'];
+  const params = [collection];
+
+  Object.entries(where || {}).forEach(([field, value]) => {
+    conditions.push('json_extract(data, ?) = ?');
+    params.push(fieldPath(field), value);
+  });
+
+  let sql = `SELECT id, data FROM documents WHERE ${conditions.join(' AND ')}`;
+  if (orderBy) {
+    // Newest rows are taken first for limitToLast, then flipped back to ascending
+    const direction = limitToLast ? 'DESC' : 'ASC';
+    sql += ` ORDER BY json_extract(data, ?) ${direction}, id ${direction}`;
+    params.push(fieldPath(orderBy));
+  }
+  if (limitToLast) {
+    sql += ' LIMIT ?';
+    params.push(limitToLast);
+  }
+
+  const items = (await all(sql, params)).map(toItem);
+  return orderBy && limitToLast ? items.reverse() : items;
+}
+
+async function push(collection, data) {
+  const id = uuidv4();
+  await set(collection, id, data);
+  return id;
+}
+
+async function set(collection, id, data) {
+  await run(
+    `INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+     ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data`,
+    [collection, id, JSON.stringify(data)]
+  );
+}
+
+async function create(collection, id, data) {
+  const { changes } = await run(
+    `INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+     ON CONFLICT (collection, id) DO NOTHING`,
+    [collection, id, JSON.stringify(data)]
+  );
+  return changes === 1;
+}
+
+async function update(collection, id, data) {
+  const existing = await get(collection, id);
+  const { id: _id, ...current } = existing || {};
+  await set(collection, id, { ...current, ...data });
+}
+
+async function remove(collection, id) {
+  await run('DELETE FROM documents WHERE collection = ? AND id = ?', [collection, id]);
+}
+
+// Compare-and-swap on the stored JSON, retried until no other write lands
+// between the read and the write
+async function transaction(collection, id, update) {
+  for (;;) {
+    const row = await getRow('SELECT data FROM documents WHERE collection = ? AND id = ?', [collection, id]);
+    const data = update(row ? JSON.parse(row.data) : null);
+
+    let result;
+    if (data === null) {
+      if (!row) return null;
+      result = await run('DELETE FROM documents WHERE collection = ? AND id = ? AND data = ?', [
+        collection,
+        id,
+        row.data
+      ]);
+    } else if (row) {
+      result = await run('UPDATE documents SET data = ? WHERE collection = ? AND id = ? AND data = ?', [
+        JSON.stringify(data),
+        collection,
+        id,
+        row.data
+      ]);
+    } else {
+      result = await run(
+        `INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+         ON CONFLICT (collection, id) DO NOTHING`,
+        [collection, id, JSON.stringify(data)]
+      );
+    }
+    if (result.changes === 1) return data;
+  }
+}
+
+module.exports = { get, list, push, set, create, update, remove, transaction };
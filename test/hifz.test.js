@@ -0,0 +1,66 @@
+process.env.DB_FILE = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INITIAL_EASE, MAX_INTERVAL_DAYS, reschedule } = require('../services/hifz');
+
+const newPortion = () => ({
+  ease: INITIAL_EASE,
+  interval: 0,
+  repetitions: 0,
+  lapses: 0,
+  reviews: 0,
+  lastQuality: null,
+  lastRevisedOn: null,
+  dueDate: '2026-01-02'
+});
+
+// Revise on each due date in turn
+function revise(portion, qualities) {
+  return qualities.reduce((current, quality) => reschedule(current, quality, current.dueDate), portion);
+}
+
+test('good revisions stretch the interval 1, 3, then by the ease', () => {
+  const first = reschedule(newPortion(), 5, '2026-01-02');
+  assert.equal(first.interval, 1);
+  assert.equal(first.dueDate, '2026-01-03');
+  assert.equal(first.ease, INITIAL_EASE + 0.1);
+
+  const second = reschedule(first, 4, first.dueDate);
+  assert.equal(second.interval, 3);
+  assert.equal(second.dueDate, '2026-01-06');
+
+  const third = reschedule(second, 5, second.dueDate);
+  assert.equal(third.interval, Math.round(3 * second.ease));
+  assert.equal(third.repetitions, 3);
+  assert.equal(third.reviews, 3);
+});
+
+test('a failed revision brings the portion back tomorrow and lowers its ease', () => {
+  const learned = revise(newPortion(), [5, 5, 5]);
+  const failed = reschedule(learned, 2, '2026-02-01');
+
+  assert.equal(failed.interval, 1);
+  assert.equal(failed.repetitions, 0);
+  assert.equal(failed.lapses, 1);
+  assert.equal(failed.dueDate, '2026-02-02');
+  assert.ok(failed.ease < learned.ease);
+  assert.equal(failed.lastQuality, 2);
+  assert.equal(failed.lastRevisedOn, '2026-02-01');
+});
+
+test('ease never drops below 1.3', () => {
+  const forgotten = revise(newPortion(), [0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.equal(forgotten.ease, 1.3);
+});
+
+test('intervals are capped', () => {
+  const strong = revise(newPortion(), Array(20).fill(5));
+  assert.equal(strong.interval, MAX_INTERVAL_DAYS);
+});
+
+test('the portion passed in is left untouched', () => {
+  const portion = newPortion();
+  reschedule(portion, 5, '2026-01-02');
+  assert.deepEqual(portion, newPortion());
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  UMM_AL_QURA_FIRST_YEAR,
+  UMM_AL_QURA_LAST_YEAR,
+  toHijri,
+  toGregorian,
+  hijriMonthLength,
+  formatHijri
+} = require('../services/hijri');
+
+// Gregorian dates of well-known days in the published Umm al-Qura calendar
+const UMM_AL_QURA = [
+  { gregorian: { year: 2023, month: 3, day: 23 }, hijri: { year: 1444, month: 9, day: 1 } },
+  { gregorian: { year: 2024, month: 3, day: 11 }, hijri: { year: 1445, month: 9, day: 1 } },
+  { gregorian: { year: 2024, month: 4, day: 10 }, hijri: { year: 1445, month: 10, day: 1 } },
+  { gregorian: { year: 2024, month: 6, day: 16 }, hijri: { year: 1445, month: 12, day: 10 } },
+  { gregorian: { year: 2024, month: 7, day: 7 }, hijri: { year: 1446, month: 1, day: 1 } },
+  { gregorian: { year: 2026, month: 2, day: 18 }, hijri: { year: 1447, month: 9, day: 1 } },
+  // Months whose length was corrected in the table
+  { gregorian: { year: 1945, month: 8, day: 9 }, hijri: { year: 1364, month: 9, day: 1 } },
+  { gregorian: { year: 2024, month: 12, day: 3 }, hijri: { year: 1446, month: 6, day: 1 } }
+];
+
+UMM_AL_QURA.forEach(({ gregorian, hijri }) => {
+  const label = `${hijri.year}-${hijri.month}-${hijri.day} AH`;
+
+  test(`${label} to Gregorian and back`, () => {
+    assert.deepEqual(toGregorian(hijri), gregorian);
+    assert.deepEqual(toHijri(gregorian), { ...hijri, calendar: 'umm-al-qura' });
+  });
+});
+
+test('month lengths follow the table', () => {
+  assert.equal(hijriMonthLength(1445, 9), 30);
+  assert.equal(toGregorian({ year: 1445, month: 9, day: 31 }), null);
+  assert.equal(toGregorian({ year: 1445, month: 13, day: 1 }), null);
+});
+
+test('every month in the Umm al-Qura table has 29 or 30 days', () => {
+  for (let year = UMM_AL_QURA_FIRST_YEAR; year <= UMM_AL_QURA_LAST_YEAR; year++) {
+    for (let month = 1; month <= 12; month++) {
+      assert.ok([29, 30].includes(hijriMonthLength(year, month)), `${year}-${month} AH`);
+    }
+  }
+});
+
+test('adjustment moves the Hijri date by whole days', () => {
+  const date = { year: 2024, month: 3, day: 11 };
+  assert.equal(toHijri(date, 1).day, 2);
+  assert.equal(toHijri(date, -1).month, 8);
+  assert.deepEqual(toGregorian(toHijri(date, 1), 1), date);
+});
+
+test('dates outside the Umm al-Qura table use the tabular calendar and round-trip', () => {
+  const date = { year: 1900, month: 1, day: 1 };
+  const hijri = toHijri(date);
+
+  assert.equal(hijri.calendar, 'tabular');
+  assert.deepEqual(toGregorian(hijri), date);
+});
+
+test('formatted dates', () => {
+  const formatted = formatHijri(toHijri({ year: 2024, month: 3, day: 11 }));
+
+  assert.equal(formatted.date, '1445-09-01');
+  assert.equal(formatted.monthName, 'Ramadan');
+  assert.equal(formatted.readable, '1 Ramadan 1445 AH');
+});
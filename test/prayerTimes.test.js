@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePrayerTimes, isoDate, addDays, daysBetween, shiftDate } = require('../services/prayerTimes');
+
+// Reference timetables within this many minutes
+const TOLERANCE_MINUTES = 2;
+
+// Where each case's reference times come from. ADHAN_JS cases were generated
+// with adhan-js, an independent implementation, configured with each method's
+// Fajr/Isha angles (or Isha interval), no per-method minute adjustments and the
+// matching high-latitude rule. Cases copied from a published timetable name
+// the publisher and the edition the times were read from.
+const ADHAN_JS = 'adhan-js 4.4.6';
+
+const CASES = [
+  {
+    source: ADHAN_JS,
+    place: 'Makkah', latitude: 21.4225, longitude: 39.8262, timezone: 'Asia/Riyadh',
+    method: 4, date: '2026-06-15',
+    expected: { fajr: '04:10', sunrise: '05:38', dhuhr: '12:21', asr: '15:41', maghrib: '19:04', isha: '20:34' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Makkah', latitude: 21.4225, longitude: 39.8262, timezone: 'Asia/Riyadh',
+    method: 4, date: '2026-12-21',
+    expected: { fajr: '05:32', sunrise: '06:54', dhuhr: '12:19', asr: '15:23', maghrib: '17:44', isha: '19:14' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'New York (DST)', latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York',
+    method: 2, date: '2026-06-21',
+    expected: { fajr: '03:45', sunrise: '05:25', dhuhr: '12:58', asr: '16:58', maghrib: '20:31', isha: '22:11' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'New York', latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York',
+    method: 2, date: '2026-12-21',
+    expected: { fajr: '05:54', sunrise: '07:17', dhuhr: '11:54', asr: '14:14', maghrib: '16:32', isha: '17:54' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'London', latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London',
+    method: 3, date: '2026-12-21',
+    expected: { fajr: '05:59', sunrise: '08:04', dhuhr: '11:59', asr: '13:38', maghrib: '15:53', isha: '17:51' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'London, midsummer', latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London',
+    method: 3, date: '2026-06-21', highLatitudeRule: 'middle-of-night',
+    expected: { fajr: '01:02', sunrise: '04:43', dhuhr: '13:02', asr: '17:25', maghrib: '21:22', isha: '01:02' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'London, midsummer', latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London',
+    method: 3, date: '2026-06-21', highLatitudeRule: 'one-seventh',
+    expected: { fajr: '03:40', sunrise: '04:43', dhuhr: '13:02', asr: '17:25', maghrib: '21:22', isha: '22:25' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'London, midsummer', latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London',
+    method: 3, date: '2026-06-21', highLatitudeRule: 'angle-based',
+    expected: { fajr: '02:31', sunrise: '04:43', dhuhr: '13:02', asr: '17:25', maghrib: '21:22', isha: '23:27' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Oslo, midsummer', latitude: 59.9139, longitude: 10.7522, timezone: 'Europe/Oslo',
+    method: 3, date: '2026-06-21', highLatitudeRule: 'angle-based',
+    expected: { fajr: '02:21', sunrise: '03:54', dhuhr: '13:19', asr: '18:00', maghrib: '22:44', isha: '00:12' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Oslo, midsummer', latitude: 59.9139, longitude: 10.7522, timezone: 'Europe/Oslo',
+    method: 3, date: '2026-06-21', highLatitudeRule: 'one-seventh',
+    expected: { fajr: '03:09', sunrise: '03:54', dhuhr: '13:19', asr: '18:00', maghrib: '22:44', isha: '23:28' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Karachi (Hanafi)', latitude: 24.8607, longitude: 67.0011, timezone: 'Asia/Karachi',
+    method: 1, school: 'hanafi', date: '2026-03-20',
+    expected: { fajr: '05:20', sunrise: '06:36', dhuhr: '12:40', asr: '17:02', maghrib: '18:43', isha: '19:59' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Cairo', latitude: 30.0444, longitude: 31.2357, timezone: 'Africa/Cairo',
+    method: 5, date: '2026-09-23',
+    expected: { fajr: '05:17', sunrise: '06:44', dhuhr: '12:47', asr: '16:14', maghrib: '18:51', isha: '20:08' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Jakarta', latitude: -6.2088, longitude: 106.8456, timezone: 'Asia/Jakarta',
+    method: 20, date: '2026-01-15',
+    expected: { fajr: '04:25', sunrise: '05:49', dhuhr: '12:02', asr: '15:27', maghrib: '18:15', isha: '19:30' }
+  },
+  {
+    source: ADHAN_JS,
+    place: 'Istanbul (Hanafi)', latitude: 41.0082, longitude: 28.9784, timezone: 'Europe/Istanbul',
+    method: 13, school: 'hanafi', date: '2026-04-10',
+    expected: { fajr: '04:56', sunrise: '06:33', dhuhr: '13:05', asr: '17:44', maghrib: '19:38', isha: '21:10' }
+  }
+];
+
+// Minutes between two 'HH:MM' times, across midnight if that's shorter
+function minutesApart(a, b) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const diff = Math.abs(toMinutes(a) - toMinutes(b));
+  return Math.min(diff, 24 * 60 - diff);
+}
+
+CASES.forEach(({ source, place, date, expected, highLatitudeRule = 'middle-of-night', ...options }) => {
+  test(`${place}, method ${options.method}, ${highLatitudeRule}, ${date} (${source})`, () => {
+    const [year, month, day] = date.split('-').map(Number);
+    const { times } = calculatePrayerTimes({ ...options, highLatitudeRule, date: { year, month, day } });
+
+    Object.entries(expected).forEach(([prayer, time]) => {
+      assert.ok(times[prayer], `${prayer} is missing`);
+      assert.ok(
+        minutesApart(times[prayer], time) <= TOLERANCE_MINUTES,
+        `${prayer} is ${times[prayer]}, expected ${time}`
+      );
+    });
+  });
+});
+
+test('without a high-latitude rule, Isha that never comes is null', () => {
+  const { times } = calculatePrayerTimes({
+    date: { year: 2026, month: 6, day: 21 },
+    latitude: 59.9139,
+    longitude: 10.7522,
+    timezone: 'Europe/Oslo',
+    method: 3,
+    highLatitudeRule: 'none'
+  });
+
+  assert.equal(times.isha, null);
+  assert.equal(times.fajr, null);
+  assert.ok(times.sunrise);
+});
+
+test('offsets shift a prayer by whole minutes', () => {
+  const options = {
+    date: { year: 2026, month: 12, day: 21 },
+    latitude: 51.5074,
+    longitude: -0.1278,
+    timezone: 'Europe/London',
+    method: 3
+  };
+  const plain = calculatePrayerTimes(options).times;
+  const shifted = calculatePrayerTimes({ ...options, offsets: { maghrib: 3 } }).times;
+
+  assert.equal(minutesApart(plain.maghrib, shifted.maghrib), 3);
+  assert.equal(shifted.fajr, plain.fajr);
+});
+
+test('unsupported methods are rejected', () => {
+  assert.throws(() => calculatePrayerTimes({
+    date: { year: 2026, month: 1, day: 1 },
+    latitude: 0,
+    longitude: 0,
+    timezone: 'UTC',
+    method: 99
+  }), /Unsupported calculation method/);
+});
+
+test('date helpers', () => {
+  assert.equal(isoDate({ year: 2026, month: 3, day: 7 }), '2026-03-07');
+  assert.equal(isoDate({ year: 947, month: 1, day: 1 }), '0947-01-01');
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+  assert.equal(daysBetween('2026-03-28', '2026-04-02'), 5);
+  assert.deepEqual(shiftDate({ year: 2026, month: 12, day: 31 }, 1), { year: 2027, month: 1, day: 1 });
+});
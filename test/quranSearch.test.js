@@ -0,0 +1,62 @@
+process.env.DB_FILE = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const quranStore = require('../services/quranStore');
+const { searchQuran } = require('../services/quranSearch');
+
+// A small translation. Ayahs ranked against each other have the same length
+// unless length is what's being tested, and the one expected first comes
+// later in the mushaf, so ties (broken by ayah number) can't pass the tests.
+const AYAHS = [
+  { surah: 2, ayah: 1, text: 'and the believers pray at dawn each day with patience' },
+  { surah: 2, ayah: 2, text: 'and the believer prays at dawn each day with patience' },
+  { surah: 2, ayah: 3, text: 'the path of those who walk is straight and wide' },
+  { surah: 2, ayah: 4, text: 'guide us to the straight path of those you favoured' },
+  { surah: 2, ayah: 5, text: 'and in the heavens and the earth there is a light for those who see it clearly' },
+  { surah: 2, ayah: 6, text: 'god is the light' },
+  { surah: 3, ayah: 1, text: 'a light sent down in another surah' },
+  { surah: 3, ayah: 2, text: 'the <b>sun</b> & moon' }
+];
+
+let editions;
+
+test.before(async () => {
+  await quranStore.importEdition({ identifier: 'en-test', language: 'en', type: 'translation' }, AYAHS);
+  editions = await quranStore.listImports();
+});
+
+const search = (query, options = {}) => searchQuran({ query, editions, ...options });
+const ayahsOf = ({ results }) => results.map((result) => `${result.surah.number}:${result.numberInSurah}`);
+
+test('an exact word ranks above a match on its stem', async () => {
+  assert.deepEqual(ayahsOf(await search('believer')), ['2:2', '2:1']);
+});
+
+test('terms found together as a phrase rank first', async () => {
+  assert.deepEqual(ayahsOf(await search('straight path')), ['2:4', '2:3']);
+});
+
+test('every term has to match', async () => {
+  const { total, results } = await search('straight dawn');
+  assert.equal(total, 0);
+  assert.deepEqual(results, []);
+});
+
+test('shorter ayahs rank above longer ones with the same matches', async () => {
+  const ranked = ayahsOf(await search('light'));
+  assert.ok(ranked.indexOf('2:6') < ranked.indexOf('2:5'));
+});
+
+test('a surah range limits the results', async () => {
+  assert.deepEqual(ayahsOf(await search('light', { surahs: { from: 3, to: 3 } })), ['3:1']);
+});
+
+test('a partly typed word finds the words it starts', async () => {
+  assert.deepEqual(ayahsOf(await search('straig')).sort(), ['2:3', '2:4']);
+});
+
+test('snippets mark matches and escape the ayah text', async () => {
+  const [result] = (await search('moon')).results;
+  assert.equal(result.snippet, 'the &lt;b&gt;sun&lt;/b&gt; &amp; <mark>moon</mark>');
+});
@@ -0,0 +1,60 @@
+process.env.DB_FILE = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recordPrayer, getLedger, getDays, addQaza, logMakeUp } = require('../services/salahLog');
+
+test('misses marked at the same time are all counted', async () => {
+  const dates = ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05'];
+  await Promise.all(dates.map((date) => recordPrayer('concurrent', date, 'fajr', 'missed')));
+
+  assert.equal((await getLedger('concurrent')).owed.fajr, 5);
+});
+
+test('prayers logged at the same time on one day are all kept', async () => {
+  await Promise.all([
+    recordPrayer('same-day', '2026-03-01', 'fajr', 'on-time'),
+    recordPrayer('same-day', '2026-03-01', 'dhuhr', 'late'),
+    recordPrayer('same-day', '2026-03-01', 'asr', 'missed')
+  ]);
+
+  const [day] = await getDays('same-day', '2026-03-01', '2026-03-01');
+  assert.equal(day.prayers.fajr, 'on-time');
+  assert.equal(day.prayers.dhuhr, 'late');
+  assert.equal(day.prayers.asr, 'missed');
+  assert.equal((await getLedger('same-day')).owed.asr, 1);
+});
+
+test('unmarking a miss that was made up takes the make-up back', async () => {
+  await recordPrayer('unmark', '2026-03-01', 'isha', 'missed');
+  await logMakeUp('unmark', 'isha', 1);
+  await recordPrayer('unmark', '2026-03-01', 'isha', 'on-time');
+
+  const ledger = await getLedger('unmark');
+  assert.equal(ledger.owed.isha, 0);
+  assert.equal(ledger.madeUp.isha, 0);
+});
+
+test('unmarking a miss takes it off what is owed before any make-ups', async () => {
+  await addQaza('owed-first', 'asr', 2);
+  await recordPrayer('owed-first', '2026-03-01', 'asr', 'missed');
+  await logMakeUp('owed-first', 'asr', 1);
+  await recordPrayer('owed-first', '2026-03-01', 'asr', null);
+
+  const ledger = await getLedger('owed-first');
+  assert.equal(ledger.owed.asr, 1);
+  assert.equal(ledger.madeUp.asr, 1);
+});
+
+test('make-ups can never take more than is owed', async () => {
+  await addQaza('overdraw', 'maghrib', 2);
+  const results = await Promise.all([
+    logMakeUp('overdraw', 'maghrib', 2),
+    logMakeUp('overdraw', 'maghrib', 2)
+  ]);
+
+  assert.equal(results.filter((result) => result === null).length, 1);
+  const ledger = await getLedger('overdraw');
+  assert.equal(ledger.owed.maghrib, 0);
+  assert.equal(ledger.madeUp.maghrib, 2);
+});
@@ -0,0 +1,51 @@
+process.env.DB_FILE = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { run } = require('../config/sqlite');
+const tokens = require('../services/tokens');
+
+const user = { id: 'user-1', email: 'amina@example.com' };
+
+test.before(async () => {
+  await run('INSERT INTO users (id, email, password, created_at) VALUES (?, ?, ?, ?)', [
+    user.id,
+    user.email,
+    'hash',
+    new Date().toISOString()
+  ]);
+});
+
+const isRevoked = (session) => tokens.isAccessTokenRevoked(jwt.decode(session.token));
+
+test('logging out everywhere revokes earlier tokens but not a login straight after', async () => {
+  const before = await tokens.issueTokens(user);
+  await tokens.revokeAllForUser(user.id);
+  const after = await tokens.issueTokens(user);
+
+  assert.equal(await isRevoked(before), true);
+  assert.equal(await isRevoked(after), false);
+});
+
+test('refresh tokens from before the logout can no longer be rotated', async () => {
+  const before = await tokens.issueTokens(user);
+  await tokens.revokeAllForUser(user.id);
+
+  await assert.rejects(tokens.rotateRefreshToken(before.refreshToken), tokens.TokenError);
+});
+
+test('rotated access tokens keep the current generation', async () => {
+  await tokens.revokeAllForUser(user.id);
+  const { refreshToken } = await tokens.issueTokens(user);
+  const rotated = await tokens.rotateRefreshToken(refreshToken);
+
+  assert.equal(await isRevoked(rotated), false);
+});
+
+test('tokens issued before generations existed are revoked by a logout everywhere', async () => {
+  const legacy = jwt.sign({ id: user.id, email: user.email }, 'secret');
+  await tokens.revokeAllForUser(user.id);
+
+  assert.equal(await tokens.isAccessTokenRevoked(jwt.decode(legacy)), true);
+});
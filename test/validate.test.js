@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, rules } = require('../middleware/validate');
+const { dateRule, timezoneRule, methodRule } = require('../middleware/prayerRules');
+const { surahRule, ayahRule } = require('../middleware/quranRules');
+
+// Run the middleware on a fake request; resolves to the 400 body, or the
+// request as the handler would see it
+function run(schemas, req) {
+  let body = null;
+  let nextCalled = false;
+  const res = {
+    status(code) {
+      assert.equal(code, 400);
+      return this;
+    },
+    json(payload) {
+      body = payload;
+    }
+  };
+  const request = { params: {}, query: {}, body: {}, ...req };
+  validate(schemas)(request, res, () => {
+    nextCalled = true;
+  });
+  return nextCalled ? { req: request } : { errors: body.errors };
+}
+
+const messages = ({ errors }) => errors.map((error) => error.message);
+
+test('coerces query strings and fills defaults', () => {
+  const { req } = run({
+    query: { page: rules.page, limit: rules.limit(20), ids: { type: 'array', items: { type: 'integer' } } }
+  }, { query: { page: '3', ids: '1, 2,3' } });
+
+  assert.deepEqual(req.query, { page: 3, limit: 20, ids: [1, 2, 3] });
+});
+
+test('reports every failing field at once', () => {
+  const result = run({
+    query: { page: rules.page, limit: rules.limit(20, 50) },
+    body: { email: rules.email }
+  }, { query: { page: '0', limit: 'many' }, body: {} });
+
+  assert.deepEqual(messages(result), [
+    'page must be at least 1',
+    'limit must be an integer',
+    'email is required'
+  ]);
+});
+
+test('strings are trimmed and emails lowercased', () => {
+  const { req } = run({
+    body: { name: { type: 'string', maxLength: 5 }, email: rules.email }
+  }, { body: { name: '  Amina ', email: ' Amina@Example.COM' } });
+
+  assert.equal(req.body.name, 'Amina');
+  assert.equal(req.body.email, 'amina@example.com');
+});
+
+test('passwords need a letter and a number', () => {
+  assert.deepEqual(messages(run({ body: { password: rules.password } }, { body: { password: 'abcdefgh' } })), [
+    'password must contain at least one letter and one number'
+  ]);
+  assert.ok(run({ body: { password: rules.password } }, { body: { password: 'abcd 1234' } }).req);
+});
+
+test('ids reject path separators', () => {
+  assert.deepEqual(messages(run({ params: { id: rules.id } }, { params: { id: 'a/b' } })), ['id is not a valid id']);
+});
+
+test('urls must be http(s)', () => {
+  const schema = { body: { url: { type: 'url' } } };
+  assert.deepEqual(messages(run(schema, { body: { url: 'ftp://example.com' } })), ['url must be an http(s) URL']);
+  assert.ok(run(schema, { body: { url: 'https://example.com/audio/' } }).req);
+});
+
+test('enums keep the allowed value\'s type', () => {
+  const { req } = run({ query: { adjustment: { type: 'enum', values: [-1, 0, 1] } } }, { query: { adjustment: '1' } });
+  assert.equal(req.query.adjustment, 1);
+});
+
+test('cross-field checks see coerced values and only run once types pass', () => {
+  const schemas = { params: { surah: surahRule, ayah: ayahRule('params') } };
+
+  assert.ok(run(schemas, { params: { surah: '1', ayah: '7' } }).req);
+  assert.deepEqual(messages(run(schemas, { params: { surah: '1', ayah: '8' } })), ['ayah must be at most 7 for surah 1']);
+  assert.deepEqual(messages(run(schemas, { params: { surah: '115', ayah: '8' } })), ['surah must be at most 114']);
+});
+
+test('dates must exist on the calendar', () => {
+  const schema = { query: { date: dateRule } };
+  assert.ok(run(schema, { query: { date: '2024-02-29' } }).req);
+  assert.deepEqual(messages(run(schema, { query: { date: '2026-02-29' } })), ['date is not a valid date']);
+  assert.deepEqual(messages(run(schema, { query: { date: '29-02-2024' } })), ['date must be a date (YYYY-MM-DD)']);
+});
+
+test('timezones and calculation methods must be supported', () => {
+  const schema = { query: { timezone: timezoneRule, method: methodRule } };
+  assert.ok(run(schema, { query: { timezone: 'Asia/Karachi', method: '1' } }).req);
+  assert.deepEqual(messages(run(schema, { query: { timezone: 'Mars/Olympus', method: '6' } })), [
+    'timezone is not a known IANA timezone',
+    'method is not a supported calculation method'
+  ]);
+});
+
+test('unknown rule types fail when the route is defined', () => {
+  assert.throws(() => validate({ query: { q: { type: 'regex' } } }), /Unknown validation type "regex"/);
+});